@@ -0,0 +1,28 @@
+/**
+ * args.js — Command line argument parsing
+ *
+ * Kept free of other requires so molt.js can parse --data-dir / --config
+ * before shared.js loads the config.
+ */
+
+/**
+ * Minimal argv parser: `--key value`, `--key=value` and boolean `--flag`.
+ * @param {string[]} argv
+ * @param {string[]} [booleans] - Flags that never take a value
+ * @returns {{_: string[], [flag: string]: *}}
+ */
+function parseArgs(argv, booleans = []) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) { args._.push(arg); continue; }
+    const eq = arg.indexOf("=");
+    const key = arg.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) args[key] = arg.slice(eq + 1);
+    else if (booleans.includes(key) || argv[i + 1] === undefined || argv[i + 1].startsWith("--")) args[key] = true;
+    else args[key] = argv[++i];
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * batch.js — Batch transfers from a CSV or JSON manifest
+ *
+ * Manifest rows are processed strictly in order:
+ *   CSV:  header line `from,to,tick,amt`, one transfer per line (# comments allowed)
+ *   JSON: [{ "from": "Bot1", "to": "agent", "tick": "CLAW", "amt": "100" }, ...]
+ *
+ * Per-row results are written to a report file (default: <manifest>.report.json)
+ * after every row. Re-running with the same manifest resumes after the last
+ * completed row. A row that was being posted when the process died is marked
+ * "interrupted" and skipped, since the transfer may already be on Moltbook.
+ *
+ * Each sender's post cooldown is respected: the batch waits until the sender
+ * can post again (next_mint_at in status.json is shared with the minter) and
+ * retries a row that hit a 429.
+ *
+ * Usage: molt batch --manifest payouts.csv [--report out.json] [--confirm] [--dry-run] [--json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+
+const {
+  SEP2, log, logSep, logResult,
+  readBots, readProxies, loadStatus, saveStatus, initBotStatus,
+  transferInscription, validateInscription, toUnits, fromUnits
+} = require("./shared");
+const { postTransfer } = require("./transfer");
+
+const POST_COOLDOWN_MS = 30 * 60 * 1000; // used when the server doesn't say otherwise
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const DONE_RESULTS = ["transfer_ok", "interrupted", "invalid"];
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// ─── Manifest ────────────────────────────────────────────────────────────────
+
+/** Parse a CSV or JSON manifest into [{from, to, tick, amt}] */
+function readManifest(file) {
+  const raw = fs.readFileSync(file, "utf8");
+
+  if (file.toLowerCase().endsWith(".json")) {
+    const rows = JSON.parse(raw);
+    if (!Array.isArray(rows)) throw new Error("JSON manifest must be an array of {from, to, tick, amt}");
+    return rows.map(r => ({ from: r.from, to: r.to, tick: r.tick, amt: r.amt }));
+  }
+
+  const lines = raw.split("\n").map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  if (lines.length === 0) return [];
+  const header = lines[0].split(",").map(h => h.trim().toLowerCase());
+  for (const col of ["from", "to", "amt"]) {
+    if (!header.includes(col)) throw new Error(`CSV manifest header must contain "${col}" (got: ${lines[0]})`);
+  }
+  return lines.slice(1).map(line => {
+    const cells = line.split(",").map(c => c.trim());
+    return Object.fromEntries(["from", "to", "tick", "amt"].map(k => [k, cells[header.indexOf(k)]]));
+  });
+}
+
+/** Normalize a row and return an error message if it can't be sent */
+function validateRow(row, bots) {
+  row.from = String(row.from || "").trim();
+  row.to   = String(row.to || "").trim();
+  row.tick = String(row.tick || "").trim().toUpperCase() || "CLAW";
+  row.amt  = String(row.amt ?? "").trim();
+
+  if (!bots.some(b => b.name === row.from)) return `unknown sender "${row.from}"`;
+  const errors = validateInscription(transferInscription(row.tick, row.amt, row.to));
+  return errors.length > 0 ? errors.join("; ") : null;
+}
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+
+function loadReport(file, manifestHash) {
+  if (!fs.existsSync(file)) return null;
+  const report = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (report.manifest_sha256 !== manifestHash) {
+    throw new Error(`${path.basename(file)} belongs to a different manifest — move it away or pass --report`);
+  }
+  return report;
+}
+
+function saveReport(file, report) {
+  report.updated_at = new Date().toISOString();
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(report, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+// ─── Preview ─────────────────────────────────────────────────────────────────
+
+function printPreview(rows) {
+  logSep(SEP2);
+  rows.forEach((r, i) => {
+    const state = r.result ? ` [${r.result}]` : "";
+    console.log(`  #${String(i + 1).padEnd(4)} ${r.from.padEnd(18)} → ${r.to.padEnd(18)} ${r.amt.padStart(10)} ${r.tick}${state}`);
+  });
+
+  // Summed in fixed-point units, so the totals read like the amounts that get posted
+  const totals = {};
+  for (const r of rows.filter(r => !DONE_RESULTS.includes(r.result))) {
+    const key = `${r.from} ${r.tick}`;
+    totals[key] = (totals[key] ?? 0n) + (toUnits(r.amt) ?? 0n);
+  }
+  logSep(SEP2);
+  console.log("  Pending totals per sender:");
+  for (const [key, sum] of Object.entries(totals)) console.log(`    ${key}: ${fromUnits(sum)}`);
+  logSep(SEP2);
+}
+
+function askYesNo(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, (a) => { rl.close(); resolve(/^y(es)?$/i.test(a.trim())); }));
+}
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+/**
+ * Run a transfer batch.
+ * @param {object} opts
+ * @param {string} opts.manifest   - CSV or JSON manifest path
+ * @param {string} [opts.report]   - Report path (default: <manifest>.report.json)
+ * @param {boolean} [opts.confirm] - Show the preview and ask before posting
+ * @param {boolean} [opts.dryRun]  - Show the preview only
+ * @returns {Promise<{ok: boolean, results: Array}>}
+ */
+async function run(opts = {}) {
+  if (!opts.manifest) {
+    logResult("BATCH", false, "Missing --manifest");
+    return { ok: false, results: [], error: "Missing --manifest" };
+  }
+
+  const manifestPath = path.resolve(String(opts.manifest));
+  const reportPath   = path.resolve(String(opts.report || `${manifestPath}.report.json`));
+  const manifestHash = crypto.createHash("sha256").update(fs.readFileSync(manifestPath)).digest("hex");
+
+  const bots    = readBots();
+  const proxies = readProxies();
+
+  const report = loadReport(reportPath, manifestHash) || {
+    manifest: manifestPath,
+    manifest_sha256: manifestHash,
+    created_at: new Date().toISOString(),
+    rows: readManifest(manifestPath).map((r, i) => ({ row: i + 1, ...r, result: null, post_id: null, at: null, error: null }))
+  };
+
+  // A row left "in_flight" means we crashed between posting and recording the result
+  for (const r of report.rows.filter(r => r.result === "in_flight")) {
+    r.result = "interrupted";
+    r.error  = "process stopped while posting — check the sender's posts before re-sending";
+    log("BATCH", `⚠ Row #${r.row} was interrupted mid-post, skipping (see report)`);
+  }
+  // Every row still to send is checked again: its sender may have left accs.txt since the last run
+  for (const r of report.rows.filter(r => !DONE_RESULTS.includes(r.result))) {
+    const err = validateRow(r, bots);
+    if (err) Object.assign(r, { result: "invalid", error: err });
+  }
+
+  const pending = report.rows.filter(r => !DONE_RESULTS.includes(r.result));
+
+  logSep();
+  log("BATCH", `MOLT — Batch Transfer${opts.dryRun ? " (dry run)" : ""}`);
+  log("BATCH", `Manifest: ${manifestPath} (${report.rows.length} rows, ${pending.length} pending)`);
+  log("BATCH", `Report:   ${reportPath}`);
+  logSep();
+
+  if (opts.confirm || opts.dryRun) printPreview(report.rows);
+  if (opts.dryRun) return { ok: true, results: report.rows };
+  if (opts.confirm && !(await askYesNo(`  Post ${pending.length} transfer(s)? (y/N): `))) {
+    log("BATCH", "Aborted, nothing posted.");
+    return { ok: false, results: report.rows, error: "aborted" };
+  }
+
+  saveReport(reportPath, report);
+
+  for (const row of pending) {
+    const sender   = bots.find(b => b.name === row.from);
+    const proxyIdx = proxies.length > 0 ? bots.indexOf(sender) % proxies.length : -1;
+    const payload  = transferInscription(row.tick, row.amt, row.to);
+
+    logBatchRow(row);
+
+    for (let attempt = 0; attempt <= MAX_RATE_LIMIT_RETRIES; attempt++) {
+      await waitForSender(sender.name);
+
+      row.result = "in_flight";
+      row.at = new Date().toISOString();
+      saveReport(reportPath, report);
+
+      const res = await postTransfer(sender, payload, proxyIdx).catch(e => ({ result: "transfer_fail", error: e.message }));
+      Object.assign(row, { result: res.result, post_id: res.post_id || null, error: res.error || null });
+
+      // Only a created (or rate-limited) post starts the sender's cooldown
+      const retryMs = res.result === "transfer_rate_limit" ? res.retry_after_seconds * 1000 : POST_COOLDOWN_MS;
+      await setSenderCooldown(sender.name, res.result === "transfer_fail" ? null : retryMs, res.result);
+      saveReport(reportPath, report);
+
+      if (res.result !== "transfer_rate_limit") break;
+      log(sender.name, `Rate limited — retrying row #${row.row} in ${Math.ceil(retryMs / 60000)} min`);
+    }
+
+    if (row.result !== "transfer_ok") {
+      logResult("BATCH", false, `Row #${row.row} ${row.result}${row.error ? `: ${row.error}` : ""}`);
+    }
+  }
+
+  const counts = {};
+  for (const r of report.rows) counts[r.result] = (counts[r.result] || 0) + 1;
+  logSep();
+  log("BATCH", `Done! ${Object.entries(counts).map(([k, v]) => `${k}: ${v}`).join(" | ")}`);
+  logSep();
+
+  return { ok: report.rows.every(r => r.result === "transfer_ok"), results: report.rows };
+}
+
+function logBatchRow(row) {
+  logSep(SEP2, true);
+  log("BATCH", `Row #${row.row}: ${row.from} → ${row.to} ${row.amt} ${row.tick}`);
+}
+
+/** Sleep until the sender's post cooldown (shared with mint.js) has expired */
+async function waitForSender(name) {
+  const status = loadStatus();
+  initBotStatus(status, name);
+  const waitMs = status[name].next_mint_at ? new Date(status[name].next_mint_at).getTime() - Date.now() : 0;
+  if (waitMs > 0) {
+    log(name, `Cooling down — waiting ${Math.ceil(waitMs / 1000)}s before posting`);
+    await sleep(waitMs);
+  }
+}
+
+/** Record the sender's post attempt; ms (unless null) is the cooldown before its next post */
+async function setSenderCooldown(name, ms, result) {
+  const status = loadStatus();
+  initBotStatus(status, name);
+  status[name].last_post_attempt = new Date().toISOString();
+  status[name].last_post_result  = result;
+  if (ms !== null) status[name].next_mint_at = new Date(Date.now() + ms).toISOString();
+  await saveStatus(status);
+}
+
+module.exports = { run, readManifest, validateRow };
+
+if (require.main === module) {
+  const { parseArgs } = require("./args");
+  const args = parseArgs(process.argv.slice(2), ["confirm", "dry-run"]);
+  run({ ...args, dryRun: !!args["dry-run"] })
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * control.js — Runtime control for a running mint.js
+ *
+ * mint.js (with control_port in config.json, or --control-port) listens on
+ * http://127.0.0.1:<port>. Every request needs "Authorization: Bearer <control_token>"
+ * (control_token in config.json; without one the server doesn't start), and POSTs
+ * need "Content-Type: application/json", so a web page can't forge commands:
+ *   GET  /state                  Loop and per-bot control state
+ *   POST /pause   {"bots":[..]}  Pause these bots (no bots = the whole loop)
+ *   POST /resume  {"bots":[..]}  Resume these bots (no bots = the whole loop)
+ *   POST /force   {"bots":[..]}  Mint now, ignoring the cooldown
+ *   POST /skip    {"bots":[..]}  Skip the bot's next mint (its cooldown restarts)
+ *   POST /reload                 Re-read config.json, accs.txt and proxy.txt
+ *
+ * This file is also the client:
+ *   node control.js <action> [--bots a,b]   (or: molt ctl <action> [--bots a,b])
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { CONFIG, SEP2, parseArgs, log, logSep, logResult, httpRequest } = require("./shared");
+
+const ACTIONS = ["state", "pause", "resume", "force", "skip", "reload"];
+
+// ─── Server (used by mint.js) ────────────────────────────────────────────────
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => (data += chunk));
+    req.on("end", () => {
+      if (!data.trim()) return resolve({});
+      try { resolve(JSON.parse(data)); } catch { reject(new Error("Body must be JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+function reply(res, code, body) {
+  res.writeHead(code, { "content-type": "application/json" });
+  res.end(JSON.stringify(body) + "\n");
+}
+
+/** Constant-time check of the request's bearer token */
+function authorized(req, token) {
+  const given = Buffer.from(String(req.headers.authorization || ""));
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Serve the control API.
+ * @param {number} port
+ * @param {object} handlers - { state(), pause(bots), resume(bots), force(bots), skip(bots), reload() }.
+ *   Each returns a short message (state() returns the state object) and throws on bad input.
+ * @param {string} token - Bearer token every request must carry (control_token)
+ * @returns {Promise<http.Server>} rejects without a token
+ */
+function startControlServer(port, handlers, token) {
+  if (!token) return Promise.reject(new Error("control_token is not set in config.json"));
+  const server = http.createServer(async (req, res) => {
+    if (!authorized(req, token)) return reply(res, 401, { ok: false, error: "Missing or wrong control token" });
+    const action = req.url.split("?")[0].replace(/^\/+/, "");
+    if (!ACTIONS.includes(action)) return reply(res, 404, { ok: false, error: `Unknown action "${action}"` });
+    if (req.method !== (action === "state" ? "GET" : "POST")) return reply(res, 405, { ok: false, error: "Method not allowed" });
+    if (req.method === "POST" && !/^application\/json\s*(;|$)/i.test(req.headers["content-type"] || "")) {
+      return reply(res, 415, { ok: false, error: "Content-Type must be application/json" });
+    }
+
+    try {
+      if (action === "state") return reply(res, 200, { ok: true, state: handlers.state() });
+      const body = await readBody(req);
+      const bots = [].concat(body.bots || []).map(String);
+      const message = handlers[action](bots);
+      log("CONTROL", message);
+      reply(res, 200, { ok: true, message, state: handlers.state() });
+    } catch (e) {
+      reply(res, 400, { ok: false, error: e.message });
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve(server));
+  });
+}
+
+// ─── Client ──────────────────────────────────────────────────────────────────
+
+function printState(state) {
+  logSep(SEP2);
+  log("CONTROL", `Loop: ${state.paused ? "PAUSED" : "running"}`);
+  log("CONTROL", `Paused bots: ${state.paused_bots.join(", ") || "-"}`);
+  log("CONTROL", `Forced:      ${state.force.join(", ") || "-"}`);
+  log("CONTROL", `Skipping:    ${state.skip.join(", ") || "-"}`);
+  log("CONTROL", `Minted out:  ${state.minted_out.join(", ") || "-"}`);
+  log("CONTROL", `Bots: ${state.bots} | Proxies: ${state.proxies}`);
+  logSep(SEP2);
+}
+
+/**
+ * Send one control command to a running mint.js.
+ * @param {object} opts
+ * @param {string} opts.action         - state | pause | resume | force | skip | reload
+ * @param {string[]} [opts.bots]       - Target bots (pause/resume: none = whole loop)
+ * @param {number} [opts.controlPort]  - Port (default: control_port from config)
+ * @param {string} [opts.token]        - Control token (default: control_token from config)
+ * @returns {Promise<{ok: boolean, results: Array, error?: string}>}
+ */
+async function run(opts = {}) {
+  const action = opts.action || "state";
+  const port = Number(opts.controlPort ?? CONFIG.control_port) || 0;
+  const token = opts.token ?? CONFIG.control_token;
+
+  let error = null;
+  if (!ACTIONS.includes(action)) error = `Unknown action "${action}" (expected ${ACTIONS.join(", ")})`;
+  else if (!port) error = "No control port: set control_port in config.json or pass --control-port";
+  else if (!token) error = "No control token: set control_token in config.json (the same one mint.js uses)";
+  else if (["force", "skip"].includes(action) && (opts.bots || []).length === 0) error = `"${action}" needs --bots`;
+  if (error) {
+    logResult("CONTROL", false, error);
+    return { ok: false, results: [], error };
+  }
+
+  let resp;
+  try {
+    resp = await httpRequest({
+      url: `http://127.0.0.1:${port}/${action}`,
+      method: action === "state" ? "GET" : "POST",
+      headers: { authorization: `Bearer ${token}` },
+      body: action === "state" ? undefined : { bots: opts.bots || [] },
+      timeout: 10000
+    });
+  } catch (e) {
+    const msg = `Could not reach mint.js on port ${port}: ${e.message}`;
+    logResult("CONTROL", false, msg);
+    return { ok: false, results: [], error: msg };
+  }
+
+  const result = resp.json || { ok: false, error: `Unexpected reply (HTTP ${resp.statusCode})` };
+  if (!result.ok) {
+    logResult("CONTROL", false, result.error);
+    return { ok: false, results: [], error: result.error };
+  }
+  if (result.message) logResult("CONTROL", true, result.message);
+  printState(result.state);
+  return { ok: true, results: [], message: result.message, state: result.state };
+}
+
+module.exports = { run, startControlServer, ACTIONS };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  run({
+    action: args._[0],
+    bots: args.bots ? String(args.bots).split(",").map(s => s.trim()).filter(Boolean) : [],
+    controlPort: args["control-port"]
+  })
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
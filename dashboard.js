@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * dashboard.js — Local web dashboard for bot state
+ *
+ * Serves a single page on http://127.0.0.1:<port>/ listing every bot from
+ * data/accs.txt with claim status, wallet link, last result, next mint
+ * countdown, saved post IDs and indexing state. The page polls /api/bots
+ * every few seconds, so it follows a running mint.js. Read-only: no API calls,
+ * everything comes from data/status.json.
+ *
+ * Usage: node dashboard.js   (or: molt dashboard [--port N] [--bots a,b])
+ */
+
+const http = require("http");
+const { CONFIG, log, logSep, logResult } = require("./shared");
+const { collectStatus } = require("./status");
+const { getTimeUntilMint } = require("./mint");
+
+const DEFAULT_PORT = 8420;
+const REFRESH_MS   = 5000; // how often the page re-reads /api/bots
+
+/** Where a bot stands with mbc20.xyz indexing */
+function indexState(row) {
+  const last = row.last_index;
+  if (!last) return row.post_ids > 0 ? "never" : "-";
+  if (last.result === "error") return "error";
+  const unindexed = row.post_ids - (last.post_ids || 0);
+  return unindexed > 0 ? `${unindexed} new` : last.result;
+}
+
+/** Status rows plus the fields the page needs */
+function dashboardRows(opts) {
+  return collectStatus(opts).map(r => ({
+    bot: r.bot,
+    claimed: r.claimed,
+    wallet_linked: r.wallet_linked,
+    link_state: r.relink ? "relink" : r.link_state,
+    linked_wallet: r.linked_wallet,
+    last_post_result: r.last_post_result,
+    next_mint_at: r.next_mint_at,
+    next_mint_in: Math.ceil(getTimeUntilMint(r) / 1000),
+    post_ids: r.post_ids,
+    pending: r.pending_verifications.length,
+    index_state: indexState(r),
+    last_index_at: r.last_index?.at || null
+  }));
+}
+
+// ─── Page ────────────────────────────────────────────────────────────────────
+
+const PAGE = `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>MOLT — Bots</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; margin: 20px; color: #222; }
+  h1 { font-size: 18px; margin: 0 0 12px; }
+  .bar { display: flex; gap: 8px; align-items: center; margin-bottom: 10px; }
+  .bar .info { margin-left: auto; color: #777; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { padding: 4px 8px; border-bottom: 1px solid #eee; text-align: left; white-space: nowrap; }
+  th { cursor: pointer; user-select: none; background: #f6f6f6; }
+  th.asc::after { content: " \\25B2"; } th.desc::after { content: " \\25BC"; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .ok { color: #1a7f37; } .bad { color: #cf222e; } .warn { color: #9a6700; }
+</style>
+</head>
+<body>
+<h1>MOLT — Bots</h1>
+<div class="bar">
+  <input id="q" placeholder="Filter by name or result" size="30">
+  <select id="show">
+    <option value="all">All bots</option>
+    <option value="ready">Ready to mint</option>
+    <option value="unclaimed">Unclaimed</option>
+    <option value="unlinked">Not linked</option>
+    <option value="failing">Last result failed</option>
+    <option value="pending">Pending verification</option>
+    <option value="unindexed">Not indexed</option>
+  </select>
+  <span class="info" id="info"></span>
+</div>
+<table>
+  <thead><tr>
+    <th data-key="bot">Bot</th>
+    <th data-key="claimed">Claimed</th>
+    <th data-key="wallet_linked">Linked</th>
+    <th data-key="last_post_result">Last result</th>
+    <th data-key="next_mint_in">Next mint</th>
+    <th data-key="post_ids">Posts</th>
+    <th data-key="pending">Pending</th>
+    <th data-key="index_state">Indexed</th>
+  </tr></thead>
+  <tbody id="rows"></tbody>
+</table>
+<script>
+const REFRESH_MS = ${REFRESH_MS};
+let rows = [], fetchedAt = 0, sortKey = "bot", sortDir = 1, error = null;
+
+const FILTERS = {
+  all: () => true,
+  ready: r => remaining(r) === 0,
+  unclaimed: r => !r.claimed,
+  unlinked: r => !r.wallet_linked,
+  failing: r => /fail|unverified|expired|unknown|error/.test(r.last_post_result || ""),
+  pending: r => r.pending > 0,
+  unindexed: r => !["indexed", "already_indexed", "no_posts", "-"].includes(r.index_state)
+};
+
+function remaining(r) {
+  return Math.max(0, r.next_mint_in - Math.floor((Date.now() - fetchedAt) / 1000));
+}
+
+function countdown(secs) {
+  if (secs === 0) return "ready";
+  const h = Math.floor(secs / 3600), m = Math.floor(secs % 3600 / 60), s = secs % 60;
+  return (h ? h + "h " : "") + m + "m " + String(s).padStart(2, "0") + "s";
+}
+
+function cell(tr, text, cls) {
+  const td = tr.insertCell();
+  td.textContent = text;
+  if (cls) td.className = cls;
+}
+
+function render() {
+  const q = document.getElementById("q").value.trim().toLowerCase();
+  const show = FILTERS[document.getElementById("show").value];
+  const list = rows
+    .filter(r => show(r) && (!q || r.bot.toLowerCase().includes(q) || (r.last_post_result || "").toLowerCase().includes(q)))
+    .sort((a, b) => {
+      const x = sortKey === "next_mint_in" ? remaining(a) : a[sortKey] ?? "";
+      const y = sortKey === "next_mint_in" ? remaining(b) : b[sortKey] ?? "";
+      return (x === y ? 0 : x > y ? sortDir : -sortDir) || a.bot.localeCompare(b.bot);
+    });
+
+  const body = document.getElementById("rows");
+  body.textContent = "";
+  for (const r of list) {
+    const tr = body.insertRow();
+    const result = r.last_post_result || "-";
+    cell(tr, r.bot);
+    cell(tr, r.claimed ? "yes" : "no", r.claimed ? "ok" : "bad");
+    cell(tr, r.link_state || (r.wallet_linked ? "yes" : "no"), r.link_state === "mismatch" ? "bad" : r.wallet_linked && r.link_state !== "relink" ? "ok" : "warn");
+    cell(tr, result, FILTERS.failing(r) ? "bad" : result.startsWith("mint_rate_limit") ? "warn" : "");
+    cell(tr, countdown(remaining(r)), "num" + (remaining(r) === 0 ? " ok" : ""));
+    cell(tr, r.post_ids, "num");
+    cell(tr, r.pending || "", "num warn");
+    cell(tr, r.index_state, FILTERS.unindexed(r) ? "warn" : "");
+  }
+
+  for (const th of document.querySelectorAll("th")) {
+    th.className = th.dataset.key === sortKey ? (sortDir > 0 ? "asc" : "desc") : "";
+  }
+  document.getElementById("info").textContent = error
+    ? "Refresh failed: " + error
+    : list.length + " of " + rows.length + " bot(s) \\u2014 updated " + new Date(fetchedAt).toLocaleTimeString();
+}
+
+async function refresh() {
+  try {
+    const resp = await fetch("/api/bots");
+    if (!resp.ok) throw new Error("HTTP " + resp.status);
+    rows = await resp.json();
+    fetchedAt = Date.now();
+    error = null;
+  } catch (e) {
+    error = e.message;
+  }
+  render();
+}
+
+for (const th of document.querySelectorAll("th")) {
+  th.onclick = () => {
+    sortDir = sortKey === th.dataset.key ? -sortDir : 1;
+    sortKey = th.dataset.key;
+    render();
+  };
+}
+document.getElementById("q").oninput = render;
+document.getElementById("show").onchange = render;
+
+refresh();
+setInterval(refresh, REFRESH_MS);
+setInterval(render, 1000); // countdowns
+</script>
+</body>
+</html>
+`;
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+function createDashboardServer(opts = {}) {
+  return http.createServer((req, res) => {
+    const route = req.url.split("?")[0];
+    if (req.method !== "GET") {
+      res.writeHead(405, { "content-type": "text/plain" });
+      return res.end("Method not allowed\n");
+    }
+    if (route === "/") {
+      res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+      return res.end(PAGE);
+    }
+    if (route === "/api/bots") {
+      try {
+        const body = JSON.stringify(dashboardRows(opts));
+        res.writeHead(200, { "content-type": "application/json", "cache-control": "no-store" });
+        return res.end(body);
+      } catch (e) {
+        res.writeHead(500, { "content-type": "application/json" });
+        return res.end(JSON.stringify({ error: e.message }));
+      }
+    }
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("Not found\n");
+  });
+}
+
+/**
+ * Serve the dashboard until the process is stopped.
+ * @param {object} [opts]
+ * @param {string[]} [opts.bots] - Only these bot names
+ * @param {number} [opts.port]   - Listen port (default: dashboard_port from config, else 8420)
+ * @returns {Promise<{ok: boolean, results: Array, error?: string}>} only if the server can't start
+ */
+async function run(opts = {}) {
+  const port = Number(opts.port ?? CONFIG.dashboard_port) || DEFAULT_PORT;
+  const server = createDashboardServer(opts);
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", resolve);
+    });
+  } catch (e) {
+    const msg = `Could not listen on port ${port}: ${e.message}`;
+    logResult("DASH", false, msg);
+    return { ok: false, results: [], error: msg };
+  }
+
+  logSep();
+  log("DASH", "MOLT — Dashboard");
+  log("DASH", `Open http://127.0.0.1:${port}/ (Ctrl+C to stop)`);
+  logSep();
+
+  return new Promise(() => {}); // serve until killed
+}
+
+module.exports = { run, createDashboardServer, dashboardRows };
+
+if (require.main === module) {
+  run().then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * deploy.js — Deploy a new MBC-20 ticker
+ *
+ *   1. Validates tick / max / lim and checks the ticker isn't deployed yet (mbc20.xyz)
+ *   2. Posts the deploy inscription: {"p":"mbc-20","op":"deploy","tick":"...","max":"...","lim":"..."}
+ *   3. Solves the verification challenge
+ *   4. Asks the indexer to pick up the post and confirms the token exists with our max/lim
+ *   5. Records the deploy in the bot's status record (deploys[])
+ *
+ * Usage: node deploy.js --from Bot1 --tick CLAW --max 21000000 --lim 100 [--dry-run]
+ *        (or: molt deploy ... [--json])
+ */
+
+const {
+  MOLTBOOK_URL,
+  SEP2, log, logSep, logResult,
+  readBots, readProxies, loadStatus, saveStatus, initBotStatus,
+  deployInscription, assertInscription, postInscription, verifyPost, indexPost, getTokenInfo
+} = require("./shared");
+
+const CONFIRM_ATTEMPTS = 3;
+const CONFIRM_DELAY_MS = 5000;
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Build and validate a deploy payload.
+ * @throws {Error} when tick/max/lim are invalid
+ */
+function buildDeployPayload(tick, max, lim) {
+  return assertInscription(deployInscription(tick, max, lim));
+}
+
+/** Poll the indexer until the token shows up with our parameters */
+async function confirmDeploy(payload, postId, deployer, proxyIdx, tag) {
+  for (let attempt = 1; attempt <= CONFIRM_ATTEMPTS; attempt++) {
+    try {
+      await indexPost(postId, proxyIdx, tag);
+      const token = await getTokenInfo(payload.tick, proxyIdx, tag);
+      if (token) {
+        const matches = String(token.max) === payload.max && String(token.lim) === payload.lim
+          && (!token.deployer || token.deployer === deployer);
+        return { confirmed: matches, token };
+      }
+    } catch (e) {
+      log(tag, `⚠ Indexer error: ${e.message}`);
+    }
+    if (attempt < CONFIRM_ATTEMPTS) {
+      log(tag, `Token not on mbc20.xyz yet, retry ${attempt}/${CONFIRM_ATTEMPTS - 1} in ${CONFIRM_DELAY_MS / 1000}s...`);
+      await sleep(CONFIRM_DELAY_MS);
+    }
+  }
+  return { confirmed: false, token: null };
+}
+
+/**
+ * Deploy a ticker from one bot.
+ * @param {object} opts
+ * @param {string} opts.from      - Deployer bot name
+ * @param {string} opts.tick      - Ticker
+ * @param {string} opts.max       - Max supply
+ * @param {string} opts.lim       - Mint limit per inscription
+ * @param {boolean} [opts.dryRun] - Validate and check the indexer, but don't post
+ * @returns {Promise<{ok: boolean, results: Array}>}
+ */
+async function run(opts = {}) {
+  const bots    = readBots();
+  const proxies = readProxies();
+
+  let payload;
+  try {
+    payload = buildDeployPayload(opts.tick, opts.max, opts.lim);
+  } catch (e) {
+    logResult("DEPLOY", false, e.message);
+    return { ok: false, results: [], error: e.message };
+  }
+
+  const bot = bots.find(b => b.name === opts.from);
+  if (!bot) {
+    const msg = opts.from ? `Unknown bot: ${opts.from}` : "Missing --from (deployer bot name)";
+    logResult("DEPLOY", false, msg);
+    return { ok: false, results: [], error: msg };
+  }
+
+  const tag      = bot.name;
+  const proxyIdx = proxies.length > 0 ? Math.max(0, bots.indexOf(bot)) % proxies.length : -1;
+  const result   = { bot: bot.name, tick: payload.tick, max: payload.max, lim: payload.lim, result: null, post_id: null };
+
+  logSep();
+  log("DEPLOY", `MOLT — Deploy ${payload.tick}${opts.dryRun ? " (dry run)" : ""}`);
+  log("DEPLOY", `Deployer: ${bot.name} | max: ${payload.max} | lim: ${payload.lim}`);
+  log("DEPLOY", `Payload: ${JSON.stringify(payload)}`);
+  logSep();
+
+  // Refuse to deploy a ticker that already exists
+  try {
+    const existing = await getTokenInfo(payload.tick, proxyIdx, tag);
+    if (existing) {
+      logResult(tag, false, `${payload.tick} is already deployed (max ${existing.max}, lim ${existing.lim}, by ${existing.deployer || "?"})`);
+      return { ok: false, results: [{ ...result, result: "already_deployed" }] };
+    }
+  } catch (e) {
+    log(tag, `⚠ Could not check existing token: ${e.message}`);
+  }
+
+  if (opts.dryRun) {
+    log(tag, "[dry-run] Not posting.");
+    return { ok: true, results: [{ ...result, result: "dry_run" }] };
+  }
+
+  const status = loadStatus();
+  initBotStatus(status, bot.name);
+  const record = { tick: payload.tick, max: payload.max, lim: payload.lim, post_id: null, verified: false, confirmed: false, at: new Date().toISOString() };
+
+  const deployId = Math.random().toString(36).slice(2, 10);
+  const title    = `Deploying ${payload.tick} - #${deployId}`;
+
+  log(tag, "Posting deploy inscription...");
+  const resp = await postInscription(bot.apiKey, title, payload, proxyIdx, tag, bot.name);
+  const ctx = { bot: bot.name, op: "deploy", tick: payload.tick, status: resp.statusCode, post_id: resp.json?.post?.id || null };
+  log(tag, `POST status: ${resp.statusCode}`, ctx);
+  status[bot.name].last_post_attempt = record.at;
+
+  if (resp.statusCode >= 200 && resp.statusCode < 300) {
+    logResult(tag, true, "Deploy post created!", ctx);
+    record.post_id = result.post_id = resp.json?.post?.id || null;
+    if (resp.json?.post?.url) log(tag, `URL: ${MOLTBOOK_URL}${resp.json.post.url}`);
+
+    if (resp.json?.verification_required) {
+      const v = resp.json.verification;
+      log(tag, `Verification required! Expires: ${v.expires_at}`);
+      const vResp = await verifyPost(bot.apiKey, v.code, v.challenge, proxyIdx, `${tag}/VERIFY`, { expiresAt: v.expires_at });
+      record.verified = !!vResp?.json?.success;
+    } else {
+      record.verified = true;
+    }
+
+    if (record.verified && record.post_id) {
+      logSep(SEP2);
+      log(tag, "Confirming deployment on mbc20.xyz...");
+      const { confirmed, token } = await confirmDeploy(payload, record.post_id, bot.name, proxyIdx, tag);
+      record.confirmed = confirmed;
+      if (confirmed) logResult(tag, true, `${payload.tick} deployed and indexed!`);
+      else if (token) logResult(tag, false, `${payload.tick} exists on mbc20.xyz with different params (max ${token.max}, lim ${token.lim}, by ${token.deployer || "?"})`);
+      else logResult(tag, false, `${payload.tick} not visible on mbc20.xyz yet — re-check later`);
+    }
+
+    result.result = !record.verified ? "deploy_unverified" : record.confirmed ? "deploy_ok" : "deploy_unconfirmed";
+  } else {
+    logResult(tag, false, `Deploy failed: ${resp.json?.error || resp.body?.slice(0, 300)}`, ctx);
+    result.result = resp.statusCode === 429 ? "deploy_rate_limit" : "deploy_fail";
+  }
+
+  status[bot.name].last_post_result = result.result;
+  if (record.post_id) status[bot.name].deploys.push(record);
+  await saveStatus(status);
+  logSep();
+
+  return { ok: result.result === "deploy_ok", results: [result] };
+}
+
+module.exports = { run, buildDeployPayload };
+
+if (require.main === module) {
+  const { parseArgs } = require("./args");
+  const args = parseArgs(process.argv.slice(2), ["dry-run"]);
+  run({ ...args, dryRun: !!args["dry-run"] })
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
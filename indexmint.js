@@ -7,18 +7,21 @@
  *   2. If "Agent not found" → fallback to index-post?id=POST_ID for each saved post
  *
  * Post IDs are saved in data/status.json by mint.js after each successful mint.
+ * The outcome per bot is saved there as last_index (shown by the dashboard).
  *
- * Usage: node indexmint.js
+ * Usage: node indexmint.js   (or: molt index [--bots a,b] [--dry-run] [--json])
  */
 
 const {
-  SEP, SEP2, log, logBlock, logResult,
-  readBots, readProxies, parseProxy, loadStatus, saveStatus, initBotStatus,
-  httpRequest
+  MBC20_URL,
+  log, logSep, logBlock, logResult,
+  readBots, readProxies, selectBots, parseProxy, loadStatus, saveStatus, initBotStatus,
+  httpRequest, MBC20_HEADERS
 } = require("./shared");
+const { notify } = require("./webhooks");
 
-const INDEX_AGENT_URL = "https://mbc20.xyz/api/index-agent";
-const INDEX_POST_URL  = "https://mbc20.xyz/api/index-post";
+const INDEX_AGENT_URL = `${MBC20_URL}/api/index-agent`;
+const INDEX_POST_URL  = `${MBC20_URL}/api/index-post`;
 
 function getProxyByIndex(proxies, idx) {
   if (!proxies || proxies.length === 0) return null;
@@ -29,17 +32,6 @@ function sleep(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
-const HEADERS = {
-  "accept": "*/*",
-  "accept-language": "en-US,en;q=0.9",
-  "origin": "https://mbc20.xyz",
-  "referer": "https://mbc20.xyz/",
-  "sec-fetch-dest": "empty",
-  "sec-fetch-mode": "cors",
-  "sec-fetch-site": "same-origin",
-  "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36"
-};
-
 /**
  * Try to index via index-agent endpoint.
  * Returns: { ok: true, indexed, skipped, mbc20Posts } on success
@@ -53,7 +45,7 @@ async function tryIndexAgent(botName, proxies, baseIdx) {
     const proxyUrl = getProxyByIndex(proxies, baseIdx + attempt);
     try {
       const resp = await httpRequest({
-        url, method: "GET", headers: HEADERS, proxyUrl, timeout: 30000
+        url, method: "GET", headers: MBC20_HEADERS, proxyUrl, timeout: 30000
       });
 
       if (resp.json?.success) {
@@ -97,7 +89,7 @@ async function indexByPostIds(botName, postIds, proxies, baseIdx) {
 
     try {
       const resp = await httpRequest({
-        url, method: "GET", headers: HEADERS, proxyUrl, timeout: 30000
+        url, method: "GET", headers: MBC20_HEADERS, proxyUrl, timeout: 30000
       });
 
       if (resp.json?.success) {
@@ -115,22 +107,31 @@ async function indexByPostIds(botName, postIds, proxies, baseIdx) {
   return indexedCount;
 }
 
-async function main() {
-  const bots    = readBots();
+/**
+ * Index all (or the selected) bots on mbc20.xyz.
+ * @param {object} [opts]
+ * @param {string[]} [opts.bots]  - Only these bot names
+ * @param {boolean} [opts.dryRun] - Only list what would be indexed
+ * @returns {Promise<{ok: boolean, results: Array<{bot: string, result: string, indexed: number}>}>}
+ */
+async function run(opts = {}) {
+  const bots    = selectBots(readBots(), opts.bots);
   const proxies = readProxies();
   const status  = loadStatus();
 
-  console.log(SEP);
-  log("INDEX", "MOLT \u2014 Index Mints on mbc20.xyz");
+  logSep();
+  log("INDEX", `MOLT \u2014 Index Mints on mbc20.xyz${opts.dryRun ? " (dry run)" : ""}`);
   log("INDEX", `Bots: ${bots.length} | Proxies: ${proxies.length}`);
   log("INDEX", `Strategy: index-agent first \u2192 fallback to index-post by ID`);
-  console.log(SEP);
+  logSep();
 
   if (bots.length === 0) {
     logResult("INDEX", false, "No bots found in data/accs.txt");
-    process.exit(1);
+    return { ok: false, results: [] };
   }
 
+  const results = [];
+
   let agentIndexed = 0;
   let postIndexed  = 0;
   let alreadyDone  = 0;
@@ -143,17 +144,31 @@ async function main() {
     initBotStatus(status, bot.name);
     const savedPosts = status[bot.name].post_ids || [];
 
+    if (opts.dryRun) {
+      log(tag, `[dry-run] Would index agent (${savedPosts.length} saved post ID(s) as fallback)`);
+      results.push({ bot: bot.name, result: "dry_run", indexed: 0 });
+      continue;
+    }
+
+    let outcome = "error";
+    let count   = 0;
+    let error   = null;
+
     // Step 1: Try index-agent
     const result = await tryIndexAgent(bot.name, proxies, i);
 
     if (result.ok) {
       const { indexed, skipped, mbc20Posts } = result;
+      outcome = "no_posts";
       if (indexed > 0) {
         logResult(tag, true, `Indexed ${indexed} new post(s) (mbc20: ${mbc20Posts}, skipped: ${skipped})`);
         agentIndexed += indexed;
+        outcome = "indexed";
+        count = indexed;
       } else if (skipped > 0) {
         logResult(tag, true, `Already indexed (${skipped} post(s), mbc20: ${mbc20Posts})`);
         alreadyDone++;
+        outcome = "already_indexed";
       } else if (mbc20Posts === 0) {
         // No posts via agent — try by post ID if we have any
         if (savedPosts.length > 0) {
@@ -162,11 +177,15 @@ async function main() {
           if (cnt > 0) {
             logResult(tag, true, `Indexed ${cnt} post(s) via post ID fallback`);
             postIndexed += cnt;
+            outcome = "indexed";
+            count = cnt;
           } else {
             noPosts++;
+            outcome = "no_posts";
           }
         } else {
           noPosts++;
+          outcome = "no_posts";
         }
       }
     } else if (result.notFound) {
@@ -177,27 +196,46 @@ async function main() {
         if (cnt > 0) {
           logResult(tag, true, `Indexed ${cnt}/${savedPosts.length} post(s) via post ID`);
           postIndexed += cnt;
+          outcome = "indexed";
+          count = cnt;
         } else {
-          logResult(tag, false, `Agent not found, post ID indexing also failed`);
+          error = "Agent not found, post ID indexing also failed";
+          logResult(tag, false, error);
           errors++;
         }
       } else {
-        logResult(tag, false, `Agent not found on Moltbook (no saved post IDs)`);
+        error = "Agent not found on Moltbook (no saved post IDs)";
+        logResult(tag, false, error);
         errors++;
       }
     } else {
-      logResult(tag, false, result.error);
+      error = result.error;
+      logResult(tag, false, error);
       errors++;
     }
 
+    // post_ids: how many saved posts existed at this run, so later mints show up as not yet indexed
+    status[bot.name].last_index = { at: new Date().toISOString(), result: outcome, indexed: count, post_ids: savedPosts.length };
+    await saveStatus(status);
+    if (outcome === "error") notify("index.error", { bot: bot.name, error, post_ids: savedPosts.length });
+
+    results.push({ bot: bot.name, result: outcome, indexed: count });
     if (i < bots.length - 1) await sleep(200);
   }
 
   // Summary
-  console.log(SEP);
+  logSep();
   log("INDEX", "Done!");
   log("INDEX", `Via agent: ${agentIndexed} | Via post ID: ${postIndexed} | Already indexed: ${alreadyDone} | No posts: ${noPosts} | Errors: ${errors}`);
-  console.log(SEP);
+  logSep();
+
+  return { ok: errors === 0, results };
 }
 
-main().catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+module.exports = { run, tryIndexAgent, indexByPostIds };
+
+if (require.main === module) {
+  run()
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
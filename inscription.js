@@ -0,0 +1,223 @@
+/**
+ * inscription.js — MBC-20 inscription schema
+ *
+ * Builds, validates, serializes and parses the JSON payloads we post to the
+ * mbc-20 submolt:
+ *   deploy   {"p":"mbc-20","op":"deploy","tick":"CLAW","max":"21000000","lim":"100"}
+ *   mint     {"p":"mbc-20","op":"mint","tick":"CLAW","amt":"100"}
+ *   transfer {"p":"mbc-20","op":"transfer","tick":"CLAW","amt":"100","to":"agent"}
+ *   link     {"p":"mbc-20","op":"link","wallet":"0x..."}
+ *
+ * Wallet addresses are checked against their EIP-55 checksum when they are
+ * written in mixed case (all-lowercase / all-uppercase addresses carry none).
+ *
+ * Has no dependencies on shared.js so it can be used by any script or tool.
+ */
+
+const PROTOCOL = "mbc-20";
+const OPS = ["deploy", "mint", "transfer", "link"];
+
+const TICK_RE    = /^[A-Z0-9]{1,10}$/;
+const AMOUNT_RE  = /^(0|[1-9]\d*)(\.\d{1,18})?$/; // decimal string, up to 18 decimals
+const INTEGER_RE = /^[1-9]\d*$/;
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const AGENT_RE   = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// ─── Builders ────────────────────────────────────────────────────────────────
+// Builders normalize their input (trim, uppercase tick, numbers to strings) but
+// don't throw — run validateInscription() / assertInscription() on the result.
+
+const str = (v) => String(v ?? "").trim();
+
+function deployInscription(tick, max, lim) {
+  return { p: PROTOCOL, op: "deploy", tick: str(tick).toUpperCase(), max: str(max), lim: str(lim) };
+}
+
+function mintInscription(tick, amt) {
+  return { p: PROTOCOL, op: "mint", tick: str(tick).toUpperCase(), amt: str(amt) };
+}
+
+function transferInscription(tick, amt, to) {
+  return { p: PROTOCOL, op: "transfer", tick: str(tick).toUpperCase(), amt: str(amt), to: str(to) };
+}
+
+function linkInscription(wallet) {
+  return { p: PROTOCOL, op: "link", wallet: str(wallet) };
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function checkTick(tick, errors) {
+  if (typeof tick !== "string" || !TICK_RE.test(tick)) errors.push(`invalid tick "${tick ?? ""}" (1-10 uppercase letters/digits)`);
+}
+
+function checkAmount(field, value, errors) {
+  if (typeof value !== "string" || !AMOUNT_RE.test(value) || !/[1-9]/.test(value)) {
+    errors.push(`invalid ${field} "${value ?? ""}" (positive decimal string)`);
+  }
+}
+
+/**
+ * Check an inscription against the schema.
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateInscription(ins) {
+  if (!ins || typeof ins !== "object") return ["inscription must be an object"];
+  if (ins.p !== PROTOCOL) return [`unknown protocol "${ins.p ?? ""}" (expected ${PROTOCOL})`];
+  if (!OPS.includes(ins.op)) return [`unknown op "${ins.op ?? ""}" (expected ${OPS.join(", ")})`];
+
+  const errors = [];
+  switch (ins.op) {
+    case "deploy":
+      checkTick(ins.tick, errors);
+      for (const field of ["max", "lim"]) {
+        if (typeof ins[field] !== "string" || !INTEGER_RE.test(ins[field])) errors.push(`invalid ${field} "${ins[field] ?? ""}" (positive integer)`);
+      }
+      if (errors.length === 0 && BigInt(ins.lim) > BigInt(ins.max)) errors.push(`lim (${ins.lim}) cannot exceed max (${ins.max})`);
+      break;
+    case "mint":
+      checkTick(ins.tick, errors);
+      checkAmount("amt", ins.amt, errors);
+      break;
+    case "transfer":
+      checkTick(ins.tick, errors);
+      checkAmount("amt", ins.amt, errors);
+      if (typeof ins.to !== "string" || !AGENT_RE.test(ins.to)) errors.push(`invalid recipient "${ins.to ?? ""}" (agent name: letters, digits, _ . -)`);
+      break;
+    case "link": {
+      const err = addressError(ins.wallet);
+      if (err) errors.push(`invalid wallet "${ins.wallet ?? ""}" (${err})`);
+      break;
+    }
+  }
+  return errors;
+}
+
+/** Throw a descriptive error if the inscription is invalid; returns it otherwise */
+function assertInscription(ins) {
+  const errors = validateInscription(ins);
+  if (errors.length > 0) throw new Error(`Invalid ${ins?.op || "mbc-20"} inscription: ${errors.join("; ")}`);
+  return ins;
+}
+
+// ─── Amounts ─────────────────────────────────────────────────────────────────
+
+// Amounts are decimal strings; arithmetic on them uses fixed-point BigInts to avoid float drift
+const DECIMALS = 18n;
+const SCALE = 10n ** DECIMALS;
+
+/** Decimal string to fixed-point units (null if not a plain non-negative decimal) */
+function toUnits(amount) {
+  const s = String(amount ?? "").trim();
+  if (!/^\d+(\.\d+)?$/.test(s)) return null;
+  const [whole, frac = ""] = s.split(".");
+  if (BigInt(frac.length) > DECIMALS) return null;
+  return BigInt(whole) * SCALE + BigInt(frac.padEnd(Number(DECIMALS), "0"));
+}
+
+/** Fixed-point units back to a decimal string without trailing zeros */
+function fromUnits(units) {
+  const neg = units < 0n;
+  const abs = neg ? -units : units;
+  const whole = abs / SCALE;
+  const frac = (abs % SCALE).toString().padStart(Number(DECIMALS), "0").replace(/0+$/, "");
+  return `${neg ? "-" : ""}${whole}${frac ? "." + frac : ""}`;
+}
+
+// ─── Addresses ───────────────────────────────────────────────────────────────
+// EIP-55 needs Keccak-256 (the original padding, not NIST SHA3-256), which
+// node's crypto doesn't provide, hence the small implementation below.
+
+const MASK64 = (1n << 64n) - 1n;
+const KECCAK_RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+// Rotation offsets, lane index x + 5y
+const KECCAK_ROT = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14].map(BigInt);
+
+const rotl64 = (v, n) => (n === 0n ? v : ((v << n) | (v >> (64n - n))) & MASK64);
+
+function keccakF(s) {
+  for (const rc of KECCAK_RC) {
+    const c = [0, 1, 2, 3, 4].map(x => s[x] ^ s[x + 5] ^ s[x + 10] ^ s[x + 15] ^ s[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) s[y + x] ^= d;
+    }
+    const b = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(s[x + 5 * y], KECCAK_ROT[x + 5 * y]);
+    }
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) s[y + x] = b[y + x] ^ (~b[y + (x + 1) % 5] & MASK64 & b[y + (x + 2) % 5]);
+    }
+    s[0] ^= rc;
+  }
+}
+
+/** Keccak-256 digest of a string or buffer */
+function keccak256(data) {
+  const RATE = 136;
+  const input = Buffer.from(data);
+  const padded = Buffer.alloc((Math.floor(input.length / RATE) + 1) * RATE);
+  input.copy(padded);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let off = 0; off < padded.length; off += RATE) {
+    for (let i = 0; i < RATE / 8; i++) state[i] ^= padded.readBigUInt64LE(off + i * 8);
+    keccakF(state);
+  }
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i], i * 8);
+  return out;
+}
+
+/** EIP-55 mixed-case form of an address (input case is ignored) */
+function toChecksumAddress(address) {
+  const hex = str(address).toLowerCase().replace(/^0x/, "");
+  const hash = keccak256(hex).toString("hex");
+  return "0x" + [...hex].map((ch, i) => (parseInt(hash[i], 16) >= 8 ? ch.toUpperCase() : ch)).join("");
+}
+
+/** Why an address is unusable (null if it is fine) */
+function addressError(address) {
+  if (typeof address !== "string" || !ADDRESS_RE.test(address)) return "0x + 40 hex chars";
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return null;
+  const expected = toChecksumAddress(address);
+  return address === expected ? null : `bad EIP-55 checksum, expected ${expected}`;
+}
+
+// ─── Serialization ───────────────────────────────────────────────────────────
+
+/** Post content for an inscription (validated) */
+function serializeInscription(ins) {
+  assertInscription(ins);
+  return JSON.stringify(ins) + "\n\nmbc20.xyz";
+}
+
+/** Extract the mbc-20 JSON inscription from post content (null if none) */
+function parseInscription(content) {
+  const match = String(content || "").match(/\{[^{}]*\}/);
+  if (!match) return null;
+  try {
+    const ins = JSON.parse(match[0]);
+    return ins?.p === PROTOCOL && typeof ins.op === "string" ? ins : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  PROTOCOL, OPS,
+  deployInscription, mintInscription, transferInscription, linkInscription,
+  validateInscription, assertInscription, serializeInscription, parseInscription,
+  toUnits, fromUnits, keccak256, toChecksumAddress, addressError
+};
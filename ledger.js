@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * ledger.js — Rebuild MBC-20 balances from our agents' inscriptions
+ *
+ *   1. Collects the mbc-20 posts of every bot: saved post IDs from status.json
+ *      (post_ids, deploys) plus the agent's recent posts from the posts API
+ *   2. Parses the JSON inscriptions and replays them in posting order:
+ *        deploy   — first deploy of a tick wins
+ *        mint     — needs a deployed tick, amt <= lim; the last mint gets the remaining supply
+ *        transfer — only if the sender's balance covers amt
+ *        link     — records the agent's wallet
+ *   3. Compares the result with the balances mbc20.xyz reports
+ *
+ * Ticks deployed by agents outside this toolkit are seeded from the indexer,
+ * including its minted total. Our mints posted before the bot's last indexing
+ * run are already part of that total; later ones get what supply is left.
+ *
+ * Usage: node ledger.js   (or: molt ledger [--bots a,b] [--json])
+ */
+
+const {
+  SEP2, log, logSep, logResult,
+  readBots, readProxies, selectBots, loadStatus, initBotStatus,
+  parseInscription, toUnits, fromUnits, getPost, getAgentPosts, getTokenInfo, getIndexerBalances
+} = require("./shared");
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+/**
+ * Replay inscriptions in order and compute balances.
+ * @param {Array<{id, author, created_at, content, indexed?}>} posts - indexed: counted by the indexer already
+ * @param {object} [seedTokens] - { TICK: {max, lim, minted} } for ticks deployed elsewhere (minted: indexer total)
+ * @returns {{tokens, balances, links, events}}
+ *   balances: { agent: { TICK: bigint units } }, events: one entry per inscription with valid/reason
+ */
+function buildLedger(posts, seedTokens = {}) {
+  const tokens = {};
+  const balances = {};
+  const links = {};
+  const events = [];
+
+  for (const [tick, t] of Object.entries(seedTokens)) {
+    const minted = toUnits(t.minted ?? "0") ?? 0n;
+    tokens[tick] = { tick, max: toUnits(t.max), lim: toUnits(t.lim), minted, deployer: t.deployer || null, external: true };
+  }
+
+  const credit = (agent, tick, units) => {
+    balances[agent] = balances[agent] || {};
+    balances[agent][tick] = (balances[agent][tick] || 0n) + units;
+  };
+
+  const ordered = [...posts].sort((a, b) =>
+    String(a.created_at).localeCompare(String(b.created_at)) || String(a.id).localeCompare(String(b.id)));
+
+  for (const post of ordered) {
+    const ins = parseInscription(post.content);
+    if (!ins) continue;
+    const tick = String(ins.tick || "").toUpperCase();
+    const ev = { post_id: post.id, agent: post.author, at: post.created_at, op: ins.op, tick, amt: ins.amt, valid: false, reason: null };
+    events.push(ev);
+
+    switch (ins.op) {
+      case "deploy": {
+        const max = toUnits(ins.max);
+        const lim = toUnits(ins.lim);
+        if (!tick) ev.reason = "missing tick";
+        else if (tokens[tick] && !tokens[tick].external) ev.reason = "already deployed";
+        else if (!max || !lim) ev.reason = "invalid max/lim";
+        else {
+          tokens[tick] = { tick, max, lim, minted: 0n, deployer: post.author, external: false };
+          ev.valid = true;
+        }
+        break;
+      }
+      case "mint": {
+        const token = tokens[tick];
+        const amt = toUnits(ins.amt);
+        if (!token) { ev.reason = "tick not deployed"; break; }
+        if (!amt) { ev.reason = "invalid amount"; break; }
+        if (amt > token.lim) { ev.reason = `amount above lim ${fromUnits(token.lim)}`; break; }
+        let credited = amt;
+        if (!(token.external && post.indexed)) { // indexed mints of an external tick are in its minted total
+          const remaining = token.max - token.minted;
+          if (remaining <= 0n) { ev.reason = "minted out"; break; }
+          if (amt > remaining) credited = remaining;
+          token.minted += credited;
+        }
+        credit(post.author, tick, credited);
+        ev.valid = true;
+        if (credited !== amt) ev.reason = `partial mint (${fromUnits(credited)})`;
+        break;
+      }
+      case "transfer": {
+        const amt = toUnits(ins.amt);
+        const to = String(ins.to || "").trim();
+        const have = balances[post.author]?.[tick] || 0n;
+        if (!to) ev.reason = "missing recipient";
+        else if (!amt) ev.reason = "invalid amount";
+        else if (have < amt) ev.reason = `insufficient balance (${fromUnits(have)})`;
+        else {
+          credit(post.author, tick, -amt);
+          credit(to, tick, amt);
+          ev.valid = true;
+        }
+        break;
+      }
+      case "link":
+        if (!ins.wallet) ev.reason = "missing wallet";
+        else { links[post.author] = ins.wallet; ev.valid = true; }
+        break;
+      default:
+        ev.reason = `unknown op "${ins.op}"`;
+    }
+  }
+
+  return { tokens, balances, links, events };
+}
+
+// ─── Collection ──────────────────────────────────────────────────────────────
+
+/** Gather the mbc-20 posts of the given bots from status.json IDs and the posts API */
+async function collectPosts(bots, status, proxies) {
+  const posts = new Map();
+
+  for (let i = 0; i < bots.length; i++) {
+    const bot = bots[i];
+    const proxyIdx = proxies.length > 0 ? i % proxies.length : -1;
+    initBotStatus(status, bot.name);
+    // Posts made before the last successful indexing run are counted by the indexer
+    const last = status[bot.name].last_index;
+    const indexedUntil = ["indexed", "already_indexed"].includes(last?.result) ? last.at : null;
+    const entry = (p) => ({
+      id: p.id, author: p.author?.name || bot.name, created_at: p.created_at, content: p.content,
+      indexed: !!indexedUntil && String(p.created_at) <= indexedUntil
+    });
+
+    try {
+      for (const p of await getAgentPosts(bot.apiKey, bot.name, proxyIdx, bot.name)) {
+        posts.set(p.id, entry(p));
+      }
+    } catch (e) {
+      log(bot.name, `⚠ Posts API: ${e.message}`);
+    }
+
+    const saved = [...(status[bot.name].post_ids || []), ...(status[bot.name].deploys || []).map(d => d.post_id)];
+    for (const id of saved.filter(id => id && !posts.has(id))) {
+      try {
+        const p = await getPost(bot.apiKey, id, proxyIdx, bot.name);
+        if (p && p.verified !== false) {
+          posts.set(p.id, entry(p));
+        }
+      } catch (e) {
+        log(bot.name, `⚠ Post ${id.slice(0, 8)}...: ${e.message}`);
+      }
+    }
+  }
+
+  return [...posts.values()].filter(p => parseInscription(p.content));
+}
+
+/** Look up ticks that are minted/transferred in our history but deployed by someone else */
+async function seedExternalTokens(posts, proxies) {
+  const deployed = new Set();
+  const used = new Set();
+  for (const p of posts) {
+    const ins = parseInscription(p.content);
+    const tick = String(ins.tick || "").toUpperCase();
+    if (!tick) continue;
+    if (ins.op === "deploy") deployed.add(tick); else used.add(tick);
+  }
+
+  const seed = {};
+  const external = [...used].filter(t => !deployed.has(t));
+  for (let i = 0; i < external.length; i++) {
+    const tick = external[i];
+    try {
+      const token = await getTokenInfo(tick, proxies.length > 0 ? i % proxies.length : -1, "LEDGER");
+      if (token) seed[tick] = token;
+    } catch (e) {
+      log("LEDGER", `⚠ Token info for ${tick}: ${e.message}`);
+    }
+  }
+  return seed;
+}
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild balances and reconcile them with the indexer.
+ * @param {object} [opts]
+ * @param {string[]} [opts.bots] - Only these bot names
+ * @returns {Promise<{ok: boolean, results: Array, invalid: Array}>}
+ */
+async function run(opts = {}) {
+  const bots    = selectBots(readBots(), opts.bots);
+  const proxies = readProxies();
+  const status  = loadStatus();
+
+  logSep();
+  log("LEDGER", "MOLT — MBC-20 Ledger");
+  log("LEDGER", `Bots: ${bots.length}`);
+  logSep();
+
+  const posts = await collectPosts(bots, status, proxies);
+  const seed  = await seedExternalTokens(posts, proxies);
+  const { balances, events } = buildLedger(posts, seed);
+  log("LEDGER", `Inscriptions: ${events.length} (${events.filter(e => !e.valid).length} invalid)`);
+
+  const results = [];
+  for (let i = 0; i < bots.length; i++) {
+    const bot = bots[i];
+    let remote = null;
+    try {
+      remote = await getIndexerBalances(bot.name, proxies.length > 0 ? i % proxies.length : -1, bot.name);
+    } catch (e) {
+      log(bot.name, `⚠ Indexer balances: ${e.message}`);
+    }
+
+    const local = balances[bot.name] || {};
+    const ticks = new Set([...Object.keys(local), ...Object.keys(remote || {})]);
+    for (const tick of [...ticks].sort()) {
+      const localUnits  = local[tick] || 0n;
+      const remoteUnits = remote ? (toUnits(remote[tick] ?? "0") ?? 0n) : null;
+      results.push({
+        bot: bot.name,
+        tick,
+        local: fromUnits(localUnits),
+        indexer: remoteUnits === null ? null : fromUnits(remoteUnits),
+        match: remoteUnits !== null && remoteUnits === localUnits
+      });
+    }
+  }
+
+  logSep(SEP2);
+  log("LEDGER", `${"Agent".padEnd(20)} ${"Tick".padEnd(8)} ${"Local".padStart(16)} ${"Indexer".padStart(16)}`);
+  for (const r of results) {
+    const line = `${r.bot.padEnd(20)} ${r.tick.padEnd(8)} ${r.local.padStart(16)} ${String(r.indexer ?? "?").padStart(16)}`;
+    if (r.match) logResult("LEDGER", true, line);
+    else logResult("LEDGER", false, `${line}  ${describeMismatch(r)}`);
+  }
+
+  const invalid = events.filter(e => !e.valid || e.reason);
+  if (invalid.length > 0) {
+    logSep(SEP2);
+    log("LEDGER", "Rejected / adjusted inscriptions:");
+    for (const e of invalid) log("LEDGER", `  ${e.at?.slice(0, 19) || "?"} ${e.agent} ${e.op} ${e.tick} ${e.amt ?? ""} — ${e.reason}`);
+  }
+  logSep();
+
+  return { ok: results.every(r => r.match), results, invalid };
+}
+
+function describeMismatch(r) {
+  if (r.indexer === null) return "(indexer unavailable)";
+  const diff = toUnits(r.indexer) - toUnits(r.local);
+  if (diff > 0n) return `indexer +${fromUnits(diff)} (incoming transfers from other agents, or missing posts)`;
+  return `indexer ${fromUnits(diff)} (posts not indexed yet — run molt index)`;
+}
+
+module.exports = { run, buildLedger };
+
+if (require.main === module) {
+  run()
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
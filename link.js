@@ -5,111 +5,342 @@
  * For each bot in data/accs.txt:
  *   1. Checks claim status
  *   2. Posts link inscription: {"p":"mbc-20","op":"link","wallet":"0x..."}
- *   3. Solves verification challenge via ChatGPT
- *   4. Saves wallet_linked=true in status.json
+ *      with the bot's wallet ("wallets" rules or "wallet" in config.json, see wallets.js)
+ *   3. Solves verification challenge (local solver, LLM providers as fallback)
+ *   4. Saves wallet_linked=true in status.json once the post is verified
  *
- * Usage: node link.js
+ * Each bot's link moves through states saved as status.json "link":
+ *   posted     link post created, verification not solved yet
+ *   verified   post verified and published (wallet_linked = true)
+ *   confirmed  mbc20.xyz reports the configured wallet for the agent
+ *   mismatch   mbc20.xyz reports another wallet (wallet_linked = false, so
+ *              the next run posts a new link)
+ * link.wallet is the wallet the bot was linked to. When the configured wallet
+ * for a linked bot changes, the next run relinks it (posts a new link). Links
+ * made before the wallet was saved (wallet null) are looked up on the indexer
+ * first: confirmed there if it has the configured wallet, relinked otherwise.
+ *
+ * A link whose verification failed is kept as pending and retried on the next
+ * run (instead of posting a new link) until its code expires.
+ *
+ * "check" asks the indexer which wallet each agent is linked to and confirms
+ * or flags the saved link. It never posts.
+ *
+ * Usage: node link.js [check]   (or: molt link [check] [--bots a,b] [--dry-run] [--json])
  */
 
+const shared = require("./shared"); // shared.SOLVER_MODE follows reloadConfig()
 const {
-  WALLET, MBC20_SUBMOLT, OPENAI_API_KEY, OPENAI_MODEL, LINK_PAYLOAD,
-  SEP, SEP2, log, logBlock, logResult,
-  readBots, readProxies, loadStatus, saveStatus, initBotStatus,
-  createPost, verifyPost, checkClaimStatus
-} = require("./shared");
+  CONFIG, MOLTBOOK_URL, llmSummary,
+  SEP, SEP2, log, logSep, logBlock, logResult, parseArgs,
+  readBots, readProxies, selectBots, loadStatus, saveStatus, initBotStatus,
+  linkInscription, postInscription, verifyPost, checkClaimStatus,
+  verifyError, addPendingVerification, resumePendingVerifications,
+  indexPost, getIndexerWallet
+} = shared;
+const { buildWalletPlan, walletForBot, sameWallet } = require("./wallets");
+const { notify } = require("./webhooks");
+
+/** Wallet assignment from config.json; throws listing every invalid address */
+function loadWalletPlan() {
+  const plan = buildWalletPlan(CONFIG);
+  if (plan.errors.length > 0) throw new Error(`Invalid wallet config: ${plan.errors.join("; ")}`);
+  return plan;
+}
+
+/** Wallet the bot is currently linked to, as far as we know (null if unknown) */
+function linkedWallet(s) {
+  return s.link?.wallet || s.link?.indexer_wallet || null;
+}
+
+/** Move a bot's link to a new state; wallet_linked follows (true when verified or confirmed) */
+function setLink(status, name, state, fields = {}) {
+  const at = new Date().toISOString();
+  const s = status[name];
+  s.link = state === "posted" ? { state, ...fields, at } : { ...s.link, state, ...fields, at };
+  s.wallet_linked = state === "verified" || state === "confirmed";
+}
 
-async function linkBot(bot, proxyIdx, status) {
+/**
+ * Returns a short result code: link_ok, already_linked, link_pending, link_unverified,
+ * not_claimed, no_wallet, dry_run, link_rate_limit, link_fail, status_unknown
+ * @param {string} wallet - The bot's configured wallet (walletForBot)
+ */
+async function linkBot(bot, proxyIdx, status, wallet, dryRun = false) {
   const maskedKey = bot.apiKey.slice(0, 14) + "..." + bot.apiKey.slice(-4);
 
   logBlock(bot.name, `Linking wallet: ${bot.name}`);
   log(bot.name, `API Key: ${maskedKey}`);
   log(bot.name, `Proxy index: ${proxyIdx}`);
-  log(bot.name, `Wallet: ${WALLET}`);
+  log(bot.name, `Wallet: ${wallet || "(none)"}`);
 
   initBotStatus(status, bot.name);
 
+  if (!wallet) {
+    log(bot.name, "\u274C No wallet configured for this bot (set wallet or a wallets rule). Skipping.");
+    return "no_wallet";
+  }
+
   if (status[bot.name].wallet_linked) {
-    log(bot.name, "\u2705 Already linked! Skipping.");
-    return;
+    let current = linkedWallet(status[bot.name]);
+    if (!current) {
+      // Linked before the wallet was saved (status schema v7 migration): ask the indexer
+      log(bot.name, "Linked wallet unknown \u2014 checking mbc20.xyz...");
+      try {
+        current = await getIndexerWallet(bot.name, proxyIdx, bot.name);
+      } catch (e) {
+        log(bot.name, `\u274C Could not check the indexer (${e.message}). Skipping.`);
+        return "status_unknown";
+      }
+      if (sameWallet(current, wallet)) {
+        setLink(status, bot.name, "confirmed", { wallet, indexer_wallet: current, checked_at: new Date().toISOString() });
+      }
+    }
+    if (sameWallet(current, wallet)) {
+      log(bot.name, "\u2705 Already linked! Skipping.");
+      return "already_linked";
+    }
+    log(bot.name, current ? `Linked to ${current} \u2014 relinking to ${wallet}` : `Link not on mbc20.xyz \u2014 relinking to ${wallet}`);
   }
 
   log(bot.name, "Checking claim status...");
   const apiStatus = await checkClaimStatus(bot, proxyIdx);
   status[bot.name].last_status_check = new Date().toISOString();
 
-  if (!apiStatus) { log(bot.name, "\u274C Could not check status. Skipping."); return; }
+  if (!apiStatus) { log(bot.name, "\u274C Could not check status. Skipping."); return "status_unknown"; }
   log(bot.name, `Status: ${apiStatus}`);
+  if (status[bot.name].claimed && apiStatus !== "claimed") notify("bot.unclaimed", { bot: bot.name, status: apiStatus });
   status[bot.name].claimed = apiStatus === "claimed";
 
-  if (!status[bot.name].claimed) { log(bot.name, "\u23F3 Bot not claimed yet. Skipping."); return; }
+  if (!status[bot.name].claimed) { log(bot.name, "\u23F3 Bot not claimed yet. Skipping."); return "not_claimed"; }
+
+  // Finish an earlier link post before posting a new one
+  if (!dryRun && status[bot.name].pending_verifications.some(p => p.op === "link")) {
+    const verified = await resumePendingVerifications(bot, status, "link", proxyIdx,
+      (p) => notify("verification.expired", { bot: bot.name, op: "link", post_id: p.post_id, reason: p.reason }));
+    if (verified.length > 0) {
+      const done = verified[0].wallet || status[bot.name].link?.wallet || wallet;
+      setLink(status, bot.name, "verified", { wallet: done, post_id: verified[0].post_id });
+      status[bot.name].last_post_result = "link_ok";
+      logResult(bot.name, true, `Pending link verified \u2014 wallet ${done} linked!`);
+      notify("link.verified", { bot: bot.name, wallet: done, post_id: verified[0].post_id, resumed: true });
+      if (sameWallet(done, wallet)) return "link_ok";
+      log(bot.name, `Configured wallet is now ${wallet} \u2014 relinking`);
+    }
+    if (status[bot.name].pending_verifications.some(p => p.op === "link")) {
+      log(bot.name, "\u23F3 Link verification still pending. Retry later.");
+      status[bot.name].last_post_result = "link_pending";
+      return "link_pending";
+    }
+  }
 
   // Post link inscription
-  console.log(SEP2);
+  const payload = linkInscription(wallet);
+  logSep(SEP2);
   log(bot.name, "Posting link inscription...");
-  log(bot.name, `Payload: ${JSON.stringify(LINK_PAYLOAD)}`);
+  log(bot.name, `Payload: ${JSON.stringify(payload)}`);
+
+  if (dryRun) {
+    log(bot.name, "[dry-run] Not posting.");
+    return "dry_run";
+  }
 
   const linkId    = Math.random().toString(36).slice(2, 10);
   const linkTitle = `Linking wallet - #${linkId}`;
-  const linkResp  = await createPost(bot.apiKey, MBC20_SUBMOLT, linkTitle, JSON.stringify(LINK_PAYLOAD), proxyIdx);
+  const linkResp  = await postInscription(bot.apiKey, linkTitle, payload, proxyIdx, bot.name, bot.name);
   status[bot.name].last_post_attempt = new Date().toISOString();
 
-  log(bot.name, `POST status: ${linkResp.statusCode}`);
+  const ctx = { bot: bot.name, op: "link", status: linkResp.statusCode, post_id: linkResp.json?.post?.id || null };
+
+  log(bot.name, `POST status: ${linkResp.statusCode}`, ctx);
 
   if (linkResp.statusCode >= 200 && linkResp.statusCode < 300) {
-    logResult(bot.name, true, "Link post created!");
-    if (linkResp.json?.post?.id)  log(bot.name, `Post ID: ${linkResp.json.post.id}`);
-    if (linkResp.json?.post?.url) log(bot.name, `URL: https://www.moltbook.com${linkResp.json.post.url}`);
+    setLink(status, bot.name, "posted", { wallet, post_id: ctx.post_id });
+    logResult(bot.name, true, "Link post created!", ctx);
+    if (linkResp.json?.post?.id)  log(bot.name, `Post ID: ${linkResp.json.post.id}`, ctx);
+    if (linkResp.json?.post?.url) log(bot.name, `URL: ${MOLTBOOK_URL}${linkResp.json.post.url}`);
 
     if (linkResp.json?.verification_required) {
       const v = linkResp.json.verification;
       log(bot.name, `Verification required! Expires: ${v.expires_at}`);
-      const vResp = await verifyPost(bot.apiKey, v.code, v.challenge, proxyIdx, `${bot.name}/VERIFY`);
+      // Saved before solving so the code survives a crash or forced shutdown
+      addPendingVerification(status, bot.name, "link", ctx.post_id, v, "interrupted before verification", { wallet });
+      await saveStatus(status);
+      const vResp = await verifyPost(bot.apiKey, v.code, v.challenge, proxyIdx, `${bot.name}/VERIFY`, { expiresAt: v.expires_at });
+      const others = status[bot.name].pending_verifications.filter(p => p.code !== v.code);
+      status[bot.name].pending_verifications = others;
       if (vResp?.json?.success) {
-        logResult(bot.name, true, "Link verified and published!");
-        if (vResp.json.content_id) log(bot.name, `URL: https://www.moltbook.com/post/${vResp.json.content_id}`);
+        logResult(bot.name, true, "Link verified and published!", ctx);
+        if (vResp.json.content_id) log(bot.name, `URL: ${MOLTBOOK_URL}/post/${vResp.json.content_id}`);
+      } else {
+        addPendingVerification(status, bot.name, "link", ctx.post_id, v, verifyError(vResp), { wallet });
+        notify("verification.failed", { bot: bot.name, op: "link", post_id: ctx.post_id, error: verifyError(vResp), expires_at: v.expires_at || null });
+        log(bot.name, "\u26A0 Link not verified \u2014 run link again to retry before the code expires");
+        status[bot.name].last_post_result = "link_unverified";
+        return "link_unverified";
       }
     }
 
-    status[bot.name].wallet_linked   = true;
+    setLink(status, bot.name, "verified");
     status[bot.name].last_post_result = "link_ok";
-    logResult(bot.name, true, "Wallet linked!");
+    logResult(bot.name, true, "Wallet linked!", ctx);
+    notify("link.verified", { bot: bot.name, wallet, post_id: ctx.post_id });
   } else if (linkResp.statusCode === 429) {
     const retryMin = linkResp.json?.retry_after_minutes || Math.ceil((linkResp.json?.retry_after_seconds || 1800) / 60);
-    logResult(bot.name, false, `Rate limited \u2014 retry in ${retryMin} min`);
+    logResult(bot.name, false, `Rate limited \u2014 retry in ${retryMin} min`, ctx);
     status[bot.name].last_post_result = `link_rate_limit: ${retryMin}min`;
   } else {
-    logResult(bot.name, false, `Link failed: HTTP ${linkResp.statusCode}`);
+    logResult(bot.name, false, `Link failed: HTTP ${linkResp.statusCode}`, ctx);
     if (linkResp.json) log(bot.name, `Error: ${JSON.stringify(linkResp.json)}`);
     status[bot.name].last_post_result = `link_fail: ${linkResp.statusCode}`;
   }
+  return status[bot.name].last_post_result.split(":")[0];
 }
 
-async function main() {
-  const bots    = readBots();
+// ─── Indexer check ───────────────────────────────────────────────────────────
+
+/**
+ * Compare the wallet mbc20.xyz has for the bot with its configured wallet.
+ * A verified link the indexer doesn't reflect yet is sent to index-post once.
+ * Returns: link_confirmed, link_mismatch, link_unconfirmed (verified, not on
+ * the indexer yet), link_unknown (linked wallet never saved and not on the
+ * indexer; "molt link" relinks it) or not_linked
+ */
+async function checkLink(bot, proxyIdx, status, configured) {
+  initBotStatus(status, bot.name);
+  const s = status[bot.name];
+
+  let wallet = await getIndexerWallet(bot.name, proxyIdx, bot.name);
+  if (!sameWallet(wallet, configured) && s.link?.state === "verified" && s.link.post_id) {
+    log(bot.name, `Indexer has ${wallet || "no wallet"} \u2014 indexing link post ${s.link.post_id}...`);
+    if (await indexPost(s.link.post_id, proxyIdx, bot.name)) wallet = await getIndexerWallet(bot.name, proxyIdx, bot.name);
+  }
+  const checked = { indexer_wallet: wallet, checked_at: new Date().toISOString() };
+
+  if (sameWallet(wallet, configured)) {
+    if (s.link?.state !== "confirmed") setLink(status, bot.name, "confirmed", { wallet: configured, ...checked });
+    else Object.assign(s.link, checked);
+    logResult(bot.name, true, `Confirmed: linked to ${wallet}`);
+    return "link_confirmed";
+  }
+  if (wallet) {
+    // Saved as mismatch so the next "molt link" posts a link for the configured wallet
+    setLink(status, bot.name, "mismatch", checked);
+    logResult(bot.name, false, `Mismatch: indexer has ${wallet}, config has ${configured || "no wallet"}`);
+    notify("link.mismatch", { bot: bot.name, wallet: configured || null, indexer_wallet: wallet });
+    return "link_mismatch";
+  }
+  if (s.link) Object.assign(s.link, checked);
+  if (s.wallet_linked && !linkedWallet(s)) {
+    log(bot.name, "\u26A0 Linked wallet unknown and not on the indexer \u2014 run link to relink");
+    return "link_unknown";
+  }
+  if (s.wallet_linked) {
+    log(bot.name, `\u26A0 Link ${s.link?.state || "verified"} but not on the indexer yet`);
+    return "link_unconfirmed";
+  }
+  log(bot.name, "Not linked");
+  return "not_linked";
+}
+
+/** Re-check every bot's link against the indexer (see checkLink) */
+async function checkLinks(opts = {}) {
+  const bots    = selectBots(readBots(), opts.bots);
+  const proxies = readProxies();
+  const status  = loadStatus();
+
+  logSep();
+  log("LINK", `MOLT \u2014 Check Links on mbc20.xyz${opts.dryRun ? " (dry run)" : ""}`);
+  log("LINK", `Bots: ${bots.length}`);
+  logSep();
+
+  let plan;
+  try { plan = loadWalletPlan(); } catch (e) {
+    logResult("LINK", false, e.message);
+    return { ok: false, results: [], error: e.message };
+  }
+
+  const results = [];
+  for (let i = 0; i < bots.length; i++) {
+    const proxyIdx = proxies.length > 0 ? i % proxies.length : -1;
+    let result;
+    try { result = await checkLink(bots[i], proxyIdx, status, walletForBot(plan, bots[i].name)); }
+    catch (e) { log(bots[i].name, `\u274C ERROR: ${e?.message || e}`); result = "error"; }
+    results.push({ bot: bots[i].name, result, indexer_wallet: status[bots[i].name].link?.indexer_wallet ?? null });
+  }
+
+  if (!opts.dryRun) await saveStatus(status);
+  logSep(SEP, true);
+  const count = (r) => results.filter(x => x.result === r).length;
+  log("LINK", `Confirmed: ${count("link_confirmed")} | Mismatch: ${count("link_mismatch")} | Not indexed yet: ${count("link_unconfirmed")} | Unknown: ${count("link_unknown")} | Not linked: ${count("not_linked")}`);
+  if (count("link_mismatch") + count("link_unknown") > 0) log("LINK", "Run link again to post a link for the configured wallet.");
+  logSep();
+
+  return { ok: results.every(r => r.result === "link_confirmed"), results };
+}
+
+// ─── Runner ──────────────────────────────────────────────────────────────────
+
+const LINK_OK = ["link_ok", "already_linked", "dry_run"];
+
+/**
+ * Link the wallet for all (or the selected) bots.
+ * @param {object} [opts]
+ * @param {string} [opts.action]  - "check" to re-check links on the indexer instead of posting
+ * @param {string[]} [opts.bots]  - Only these bot names
+ * @param {boolean} [opts.dryRun] - Check status but don't post or save
+ * @returns {Promise<{ok: boolean, results: Array<{bot: string, result: string}>}>}
+ */
+async function run(opts = {}) {
+  if (opts.action === "check") return checkLinks(opts);
+  if (opts.action) {
+    const msg = `Unknown link action "${opts.action}" (expected: check)`;
+    logResult("LINK", false, msg);
+    return { ok: false, results: [], error: msg };
+  }
+
+  const bots    = selectBots(readBots(), opts.bots);
   const proxies = readProxies();
   const status  = loadStatus();
 
-  console.log(SEP);
-  log("LINK", "MOLT \u2014 Link Wallet");
+  logSep();
+  log("LINK", `MOLT \u2014 Link Wallet${opts.dryRun ? " (dry run)" : ""}`);
   log("LINK", `Bots: ${bots.length} | Proxies: ${proxies.length}`);
-  log("LINK", `Wallet: ${WALLET || "(not set)"}`);
-  log("LINK", `ChatGPT: ${OPENAI_API_KEY ? `ON (${OPENAI_MODEL})` : "OFF"}`);
-  console.log(SEP);
+  log("LINK", `Solver: ${shared.SOLVER_MODE} | LLM: ${llmSummary()}`);
+
+  let plan;
+  try { plan = loadWalletPlan(); } catch (e) {
+    logResult("LINK", false, e.message);
+    return { ok: false, results: [], error: e.message };
+  }
+  log("LINK", `Wallet: ${plan.fallback || "(not set)"}${plan.rules.length > 0 ? ` | ${plan.rules.length} wallets rule(s)` : ""}`);
+  logSep();
 
+  const results = [];
   for (let i = 0; i < bots.length; i++) {
     const proxyIdx = proxies.length > 0 ? i % proxies.length : -1;
-    try { await linkBot(bots[i], proxyIdx, status); }
-    catch (e) { log(bots[i].name, `\u274C ERROR: ${e?.message || e}`); }
+    let result;
+    try { result = await linkBot(bots[i], proxyIdx, status, walletForBot(plan, bots[i].name), opts.dryRun); }
+    catch (e) { log(bots[i].name, `\u274C ERROR: ${e?.message || e}`); result = "error"; }
+    results.push({ bot: bots[i].name, result });
+    if (!opts.dryRun) await saveStatus(status); // save after each bot so progress isn't lost on crash
   }
 
-  saveStatus(status);
-  console.log(`\n${SEP}`);
+  logSep(SEP, true);
   log("LINK", "Done!");
 
   const linked = Object.values(status).filter(s => s.wallet_linked).length;
   const total  = Object.keys(status).length;
   log("LINK", `Wallets linked: ${linked}/${total}`);
-  console.log(SEP);
+  logSep();
+
+  return { ok: results.every(r => LINK_OK.includes(r.result)), results };
 }
 
-main().catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+module.exports = { run, linkBot, checkLink, checkLinks };
+
+if (require.main === module) {
+  run({ action: parseArgs(process.argv.slice(2))._[0] })
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
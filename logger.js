@@ -0,0 +1,150 @@
+/**
+ * logger.js — Leveled console + JSON-lines logging
+ *
+ * Console: "[2026-01-01 12:00:00] [TAG] message". In plain mode (stdout is not
+ * a TTY, or forced with the log_plain config / MOLT_LOG_PLAIN env) emoji are
+ * replaced by OK / FAIL / WARN and separator lines are left out, so captured
+ * logs stay readable.
+ *
+ * File: every record is appended to <dir>/molt.jsonl as
+ *   {"ts":"...","level":"info","tag":"Bot1","msg":"...","bot":"Bot1","op":"mint","post_id":"...","status":201}
+ * and the file is rotated by size (molt.jsonl -> molt.1.jsonl -> ... -> molt.<maxFiles>.jsonl).
+ *
+ * Levels: debug < info < warn < error. log() picks warn / error from a leading
+ * ⚠ / ❌ so existing call sites get the right level.
+ *
+ * Has no dependencies on shared.js; shared.js calls configureLogger() with the config.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SEP  = "\u2550".repeat(70);
+const SEP2 = "\u2500".repeat(70);
+
+const settings = {
+  level: "info",
+  plain: !process.stdout.isTTY,
+  dir: null,
+  maxBytes: 5 * 1024 * 1024,
+  maxFiles: 5
+};
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.level]      - Minimum level (debug, info, warn, error)
+ * @param {boolean} [opts.plain]     - Force plain console output on/off (default: plain unless TTY)
+ * @param {string|null} [opts.dir]   - Directory for molt.jsonl (null disables the file sink)
+ * @param {number} [opts.maxBytes]   - Rotate when the file would grow past this size
+ * @param {number} [opts.maxFiles]   - Rotated files to keep
+ */
+function configureLogger(opts = {}) {
+  if (LEVELS[opts.level]) settings.level = opts.level;
+  if (typeof opts.plain === "boolean") settings.plain = opts.plain;
+  if (opts.dir !== undefined) settings.dir = opts.dir;
+  if (Number(opts.maxBytes) > 0) settings.maxBytes = Number(opts.maxBytes);
+  if (Number(opts.maxFiles) > 0) settings.maxFiles = Math.floor(Number(opts.maxFiles));
+}
+
+function isPlain() {
+  return settings.plain;
+}
+
+function ts() {
+  return new Date().toISOString().replace("T", " ").slice(0, 19);
+}
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+const SYMBOL_WORDS = { "\u2705": "OK", "\u274C": "FAIL", "\u26A0": "WARN" };
+
+/** Replace status emoji with words and drop other pictographs / box drawing */
+function plainText(text) {
+  return text
+    .replace(/[\u2705\u274C\u26A0]\uFE0F?/g, (m) => SYMBOL_WORDS[m[0]])
+    .replace(/[\p{Extended_Pictographic}\uFE0F]\s?/gu, "")
+    .replace(/[\u2500-\u259F]+/g, "")
+    .trimEnd();
+}
+
+function inferLevel(text) {
+  if (/^\s*\u274C/.test(text)) return "error";
+  if (/^\s*\u26A0/.test(text)) return "warn";
+  return "info";
+}
+
+// ─── File sink ───────────────────────────────────────────────────────────────
+
+function logFile(n = 0) {
+  return path.join(settings.dir, n === 0 ? "molt.jsonl" : `molt.${n}.jsonl`);
+}
+
+function rotate() {
+  fs.rmSync(logFile(settings.maxFiles), { force: true });
+  for (let n = settings.maxFiles - 1; n >= 0; n--) {
+    if (fs.existsSync(logFile(n))) fs.renameSync(logFile(n), logFile(n + 1));
+  }
+}
+
+let fileErrorReported = false;
+
+function writeRecord(record) {
+  if (!settings.dir) return;
+  const line = JSON.stringify(record) + "\n";
+  try {
+    fs.mkdirSync(settings.dir, { recursive: true });
+    const size = fs.existsSync(logFile()) ? fs.statSync(logFile()).size : 0;
+    if (size > 0 && size + Buffer.byteLength(line) > settings.maxBytes) rotate();
+    fs.appendFileSync(logFile(), line, "utf8");
+  } catch (e) {
+    if (!fileErrorReported) console.error(`[${ts()}] [LOG] Could not write ${logFile()}: ${e.message}`);
+    fileErrorReported = true;
+  }
+}
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Write one log record.
+ * @param {string} level  - debug | info | warn | error
+ * @param {string} tag    - Bot name or component (shown as [TAG])
+ * @param {string} msg
+ * @param {object} [fields] - Context for the JSON record (bot, op, post_id, status, ...)
+ */
+function emit(level, tag, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const text = String(msg);
+  console.log(`[${ts()}] [${tag}] ${settings.plain ? plainText(text) : text}`);
+  writeRecord({ ts: new Date().toISOString(), level, tag, msg: plainText(text), ...fields });
+}
+
+function log(tag, msg, fields) {
+  emit(inferLevel(String(msg)), tag, msg, fields);
+}
+
+function logDebug(tag, msg, fields) { emit("debug", tag, msg, fields); }
+function logWarn(tag, msg, fields)  { emit("warn", tag, msg, fields); }
+function logError(tag, msg, fields) { emit("error", tag, msg, fields); }
+
+function logResult(tag, success, msg, fields) {
+  emit(success ? "info" : "error", tag, `${success ? "\u2705" : "\u274C"} ${msg}`, { ok: success, ...fields });
+}
+
+/** Print a separator line (console only; skipped in plain mode) */
+function logSep(line = SEP, blankBefore = false) {
+  if (!settings.plain) console.log(blankBefore ? `\n${line}` : line);
+}
+
+function logBlock(tag, title, fields) {
+  logSep(SEP, true);
+  log(tag, title, fields);
+  logSep(SEP2);
+}
+
+module.exports = {
+  LEVELS, SEP, SEP2,
+  configureLogger, isPlain, ts, plainText,
+  log, logDebug, logWarn, logError, logResult, logBlock, logSep
+};
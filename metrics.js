@@ -0,0 +1,130 @@
+/**
+ * metrics.js — In-process metrics in Prometheus text format
+ *
+ * Counters are updated from shared.js (HTTP, retries, verification, solver)
+ * and mint.js (mint results). Gauges that describe saved state (seconds until
+ * next_mint_at, pending verifications) are filled by collectors registered
+ * with addCollector(), which run on every scrape.
+ *
+ * startMetricsServer(port) serves GET /metrics on 127.0.0.1 (see mint.js).
+ *
+ * Has no dependencies on shared.js so shared.js itself can record metrics.
+ */
+
+const http = require("http");
+
+// name -> [type, help]. Every metric is listed here so /metrics documents them all.
+const CATALOG = {
+  molt_mints_attempted_total:       ["counter", "Mint inscriptions posted (or rejected by the API)"],
+  molt_mints_succeeded_total:       ["counter", "Mints posted and verified"],
+  molt_mints_rate_limited_total:    ["counter", "Mint posts rejected with 429"],
+  molt_mints_failed_total:          ["counter", "Mint posts that failed or stayed unverified"],
+  molt_verifications_total:         ["counter", "Verification attempts by result (success, failure, error)"],
+  molt_solver_duration_seconds:     ["summary", "Time spent solving a verification challenge, by solver"],
+  molt_solver_provider_errors_total: ["counter", "LLM provider calls that failed or timed out (the next provider is tried)"],
+  molt_solver_vote_splits_total:    ["counter", "Voted challenges whose samples disagreed on the answer"],
+  molt_solver_cache_hits_total:     ["counter", "Challenges answered from the solver cache"],
+  molt_solver_tokens_total:         ["counter", "LLM tokens used by the solver, by provider, model and type (input, output)"],
+  molt_solver_cost_usd_total:       ["counter", "LLM solver spend in USD, by provider and model (models with a known price)"],
+  molt_http_requests_total:         ["counter", "HTTP requests by target host"],
+  molt_http_errors_total:           ["counter", "HTTP errors by host and status code (network = no response)"],
+  molt_http_retries_total:          ["counter", "Requests retried by withRetry()"],
+  molt_next_mint_seconds:           ["gauge",   "Seconds until the bot may mint again (0 = ready)"],
+  molt_pending_verifications:       ["gauge",   "Verifications waiting to be retried"]
+};
+
+const values = new Map();     // name -> Map(labelKey -> { labels, value })
+const collectors = [];
+
+function series(name) {
+  if (!CATALOG[name]) throw new Error(`Unknown metric ${name}`);
+  if (!values.has(name)) values.set(name, new Map());
+  return values.get(name);
+}
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(",");
+}
+
+function update(name, labels, fn) {
+  const s = series(name);
+  const key = labelKey(labels);
+  const entry = s.get(key) || { labels, value: 0 };
+  entry.value = fn(entry.value);
+  s.set(key, entry);
+}
+
+/** Add to a counter */
+function inc(name, labels = {}, by = 1) {
+  update(name, labels, v => v + by);
+}
+
+/** Set a gauge */
+function set(name, labels = {}, value) {
+  update(name, labels, () => value);
+}
+
+/** Record one observation of a summary (kept as _sum and _count) */
+function observe(name, labels = {}, value) {
+  update(name, { ...labels, stat: "sum" }, v => v + value);
+  update(name, { ...labels, stat: "count" }, v => v + 1);
+}
+
+/** Register fn() to refresh gauges right before each scrape */
+function addCollector(fn) {
+  collectors.push(fn);
+}
+
+/** Drop all series of a gauge (collectors call this before re-filling it) */
+function clear(name) {
+  series(name).clear();
+}
+
+// ─── Exposition ──────────────────────────────────────────────────────────────
+
+function fmtLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+/** All metrics in Prometheus text exposition format */
+function renderMetrics() {
+  for (const fn of collectors) {
+    try { fn(); } catch { /* a failing collector must not break the scrape */ }
+  }
+
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(CATALOG)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels, value } of (values.get(name) || new Map()).values()) {
+      if (type === "summary") {
+        const { stat, ...rest } = labels;
+        lines.push(`${name}_${stat}${fmtLabels(rest)} ${value}`);
+      } else {
+        lines.push(`${name}${fmtLabels(labels)} ${value}`);
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serve GET /metrics.
+ * @returns {Promise<http.Server>}
+ */
+function startMetricsServer(port, host = "127.0.0.1") {
+  const server = http.createServer((req, res) => {
+    if (req.method === "GET" && req.url.split("?")[0] === "/metrics") {
+      res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+      return res.end(renderMetrics());
+    }
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("Not found\n");
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = { CATALOG, inc, set, observe, clear, addCollector, renderMetrics, startMetricsServer };
@@ -5,19 +5,56 @@
  * Runs an infinite loop, minting every 30 minutes per bot.
  * On 429 (rate limit), records exact retry time from API response
  * so there are no idle gaps — mints resume immediately when ready.
+ * A mint whose verification fails is kept as pending in status.json and
+ * retried (also during the cooldown) until its code expires; it only counts
+ * as minted once verified.
  *
- * Usage: node mint.js
+ * What each bot mints comes from the mint plan in config.json (see mintplan.js),
+ * which is re-read on every pass so it can be changed without a restart.
+ * Before minting, the tick's supply is checked on mbc20.xyz (cached): a tick
+ * that is minted out, or has less left than the mint amount, is skipped and
+ * the bot moves on to the next tick in its plan, or pauses if none is left.
+ *
+ * With metrics_port in config.json (or --metrics-port) the loop serves
+ * Prometheus metrics on http://127.0.0.1:<port>/metrics (see metrics.js).
+ *
+ * With control_port (or --control-port) the loop can be paused, resumed, forced
+ * and reloaded at runtime with `molt ctl` (see control.js).
+ *
+ * Ready bots are minted by up to mint_concurrency workers at a time (default 1).
+ * Each worker loads and saves its own copy of status.json, so saveStatus()
+ * merges only that bot's changes when several finish at once; a bot is never
+ * handled by two workers in the same pass.
+ *
+ * SIGINT / SIGTERM stop scheduling new bots, let bots already posting finish
+ * (up to shutdown_timeout seconds), then print a summary. A mint's verification
+ * code is saved as pending before the challenge is solved, so even a forced
+ * exit leaves it in status.json to be retried on the next start.
+ *
+ * With solver "gpt" and a solver_daily_budget, the loop stops posting and
+ * retrying mints once the day's LLM spend reaches the budget, and carries on
+ * at 00:00 UTC (other solver modes fall back to the local solver instead).
+ *
+ * Usage: node mint.js   (or: molt mint [--bots a,b] [--once] [--dry-run] [--json] [--metrics-port N] [--control-port N])
  */
 
+const shared = require("./shared"); // shared.WALLET / shared.SOLVER_MODE follow reloadConfig()
 const {
-  WALLET, MBC20_SUBMOLT, OPENAI_API_KEY, OPENAI_MODEL, MINT_PAYLOAD,
-  SEP, SEP2, log, logBlock, logResult,
-  readBots, readProxies, loadStatus, saveStatus, initBotStatus,
-  createPost, verifyPost, checkClaimStatus
-} = require("./shared");
+  MOLTBOOK_URL, llmSummary, readConfig, reloadConfig,
+  SEP, SEP2, ts, log, logSep, logBlock, logResult, isPlain,
+  readBots, readProxies, selectBots, loadStatus, saveStatus, initBotStatus,
+  mintInscription, postInscription, verifyPost, checkClaimStatus, getTokenInfo, toUnits, fromUnits,
+  verifyError, addPendingVerification, resumePendingVerifications, mapLimit,
+  llmSolvingPaused, budgetMessage
+} = shared;
+const { buildMintPlan, planForBot, nextMint } = require("./mintplan");
+const metrics = require("./metrics");
+const { startControlServer } = require("./control");
+const { notify, flushWebhooks } = require("./webhooks");
 
 const MINT_COOLDOWN_MS  = 30 * 60 * 1000; // 30 min default cooldown
 const CHECK_INTERVAL_MS = 60 * 1000;      // 60s
+const SUPPLY_CACHE_MS   = 5 * 60 * 1000;  // how long token supply from mbc20.xyz is trusted
 
 function getTimeUntilMint(botStatus) {
   // Use exact next_mint_at if set (from 429 response or after success)
@@ -30,13 +67,296 @@ function getTimeUntilMint(botStatus) {
   return Math.max(0, MINT_COOLDOWN_MS - elapsed);
 }
 
-async function tryMintBot(bot, proxyIdx, status) {
+// ─── Mint plan ───────────────────────────────────────────────────────────────
+
+let currentPlan = null;
+let lastPlanErrors = "";
+
+/** Re-read the mint plan from config.json. Keeps the previous plan if the new one is invalid. */
+function loadPlan() {
+  const plan = buildMintPlan(readConfig());
+  if (plan.errors.length === 0) {
+    lastPlanErrors = "";
+    return (currentPlan = plan);
+  }
+  if (plan.errors.join("\n") !== lastPlanErrors) {
+    lastPlanErrors = plan.errors.join("\n");
+    for (const e of plan.errors) logResult("PLAN", false, e);
+    if (currentPlan) log("PLAN", "Keeping the previous mint plan until config.json is fixed");
+  }
+  return currentPlan;
+}
+
+/** Next {tick, amt} for a bot, or null when its plan is finished */
+function nextMintFor(plan, name, status) {
+  return nextMint(planForBot(plan, name), plannedCounts(status, name));
+}
+
+/**
+ * Mints per tick that count toward max_mints: verified ones plus those still
+ * pending verification, so a mint in flight (here or in another worker) isn't
+ * repeated past the limit. A pending mint that expires stops counting.
+ */
+function plannedCounts(status, name) {
+  const counts = { ...status[name].mint_counts };
+  for (const p of status[name].pending_verifications || []) {
+    if (p.op === "mint" && p.tick) counts[p.tick] = (counts[p.tick] || 0) + 1;
+  }
+  return counts;
+}
+
+function countMint(status, name, tick) {
+  if (!tick) return;
+  status[name].mint_counts = { ...status[name].mint_counts, [tick]: (status[name].mint_counts[tick] || 0) + 1 };
+}
+
+// ─── Metrics ─────────────────────────────────────────────────────────────────
+
+const ATTEMPTED = ["mint_ok", "mint_unverified", "mint_rate_limit", "mint_fail"];
+const FAILED    = ["mint_fail", "mint_unverified", "mint_expired"];
+
+/** Count a mint result code in the mint metrics */
+function recordMint(name, result, resumed = false) {
+  const labels = { bot: name };
+  if (ATTEMPTED.includes(result) && !resumed) metrics.inc("molt_mints_attempted_total", labels);
+  if (result === "mint_ok") metrics.inc("molt_mints_succeeded_total", labels);
+  if (result === "mint_rate_limit") metrics.inc("molt_mints_rate_limited_total", labels);
+  if (FAILED.includes(result)) metrics.inc("molt_mints_failed_total", labels);
+}
+
+/** Serve /metrics; the per-bot gauges are read from status.json on each scrape */
+async function startMetrics(port, opts) {
+  metrics.addCollector(() => {
+    const status = loadStatus();
+    metrics.clear("molt_next_mint_seconds");
+    metrics.clear("molt_pending_verifications");
+    for (const bot of selectBots(readBots(), opts.bots)) {
+      initBotStatus(status, bot.name);
+      metrics.set("molt_next_mint_seconds", { bot: bot.name }, Math.ceil(getTimeUntilMint(status[bot.name]) / 1000));
+      metrics.set("molt_pending_verifications", { bot: bot.name }, status[bot.name].pending_verifications.length);
+    }
+  });
+  try {
+    await metrics.startMetricsServer(port);
+    log("START", `Metrics: http://127.0.0.1:${port}/metrics`);
+  } catch (e) {
+    logResult("START", false, `Could not start metrics server on port ${port}: ${e.message}`);
+  }
+}
+
+// ─── Control ─────────────────────────────────────────────────────────────────
+
+// Runtime state changed through the control server (control.js); not persisted
+const control = {
+  paused: false,          // whole loop
+  pausedBots: new Set(),
+  force: new Set(),       // mint on the next pass, ignoring the cooldown
+  skip: new Set()         // skip the next mint (cooldown restarts)
+};
+
+let budgetPaused = false; // daily LLM budget reached (see checkLoop), logged once until it clears
+let wakeLoop = null;      // resolves the loop's sleep early
+
+// ─── Shutdown ────────────────────────────────────────────────────────────────
+
+const inFlight = new Set();                               // bots with a mint / verify running
+const session  = { started: Date.now(), passes: 0, results: {} };
+let stopping   = null;                                    // { reason, exitCode, deadline } once shutdown starts
+
+/** Stop scheduling new bots; in-flight ones may finish until shutdown_timeout */
+function requestShutdown(reason, exitCode = 0) {
+  if (stopping) {
+    log("STOP", `${reason} again \u2014 exiting now (${inFlight.size} bot(s) still in flight)`);
+    printSummary();
+    process.exit(exitCode || stopping.exitCode || 1);
+  }
+  const timeoutMs = (Number(readConfig().shutdown_timeout) || 120) * 1000;
+  stopping = { reason, exitCode, deadline: Date.now() + timeoutMs };
+  if (!isPlain()) process.stdout.write("\n");
+  log("STOP", `${reason} \u2014 not starting new bots, waiting for ${inFlight.size} in flight (up to ${timeoutMs / 1000}s, repeat to quit now)`);
+
+  setTimeout(() => {
+    logResult("STOP", false, `Shutdown timed out after ${timeoutMs / 1000}s with ${[...inFlight].join(", ") || "no bots"} still in flight`);
+    printSummary();
+    process.exit(1);
+  }, timeoutMs).unref();
+  if (wakeLoop) wakeLoop();
+}
+
+let handlersInstalled = false;
+
+function installShutdownHandlers() {
+  if (handlersInstalled) return;
+  handlersInstalled = true;
+  process.on("SIGINT",  () => requestShutdown("SIGINT"));
+  process.on("SIGTERM", () => requestShutdown("SIGTERM"));
+  process.on("unhandledRejection", (err) => { log("UNHANDLED_REJECTION", err?.stack || err?.message || err); });
+  process.on("uncaughtException",  (err) => {
+    log("UNCAUGHT_EXCEPTION", err?.stack || err?.message || err);
+    requestShutdown("Uncaught exception", 1);
+  });
+}
+
+/** Run fn for a bot while tracking it as in flight; skipped once shutdown has started */
+async function inFlightBot(name, fn) {
+  if (stopping) return;
+  inFlight.add(name);
+  try { return await fn(); } finally { inFlight.delete(name); }
+}
+
+function printSummary() {
+  const status = loadStatus();
+  const pending = Object.values(status).reduce((n, s) => n + (s.pending_verifications || []).filter(p => p.op === "mint").length, 0);
+  const mins = Math.round((Date.now() - session.started) / 60000);
+  logSep(SEP, true);
+  log("STOP", `Shutdown summary \u2014 up ${Math.floor(mins / 60)}h ${mins % 60}m, ${session.passes} pass(es)`);
+  log("STOP", `Results: ${Object.entries(session.results).map(([r, n]) => `${r} ${n}`).join(", ") || "none"}`);
+  if (inFlight.size > 0) log("STOP", `\u26A0 Interrupted: ${[...inFlight].join(", ")}`);
+  if (pending > 0) log("STOP", `Pending mint verifications in status.json: ${pending} (retried on the next start until they expire)`);
+  logSep();
+}
+
+/** Control API handlers for a running loop */
+function controlHandlers(opts) {
+  const known = () => selectBots(readBots(), opts.bots).map(b => b.name);
+  const check = (names, required) => {
+    if (required && names.length === 0) throw new Error("No bots given");
+    const unknown = names.filter(n => !known().includes(n));
+    if (unknown.length > 0) throw new Error(`Unknown bot(s): ${unknown.join(", ")}`);
+    return names;
+  };
+  const wake = () => { if (wakeLoop) wakeLoop(); };
+
+  return {
+    state: () => ({
+      paused: control.paused,
+      paused_bots: [...control.pausedBots],
+      force: [...control.force],
+      skip: [...control.skip],
+      minted_out: [...mintedOutBots],
+      bots: known().length,
+      proxies: readProxies().length
+    }),
+    pause: (names) => {
+      if (check(names).length === 0) { control.paused = true; return "Loop paused"; }
+      names.forEach(n => control.pausedBots.add(n));
+      return `Paused ${names.join(", ")}`;
+    },
+    resume: (names) => {
+      if (check(names).length === 0) { control.paused = false; wake(); return "Loop resumed"; }
+      names.forEach(n => control.pausedBots.delete(n));
+      wake();
+      return `Resumed ${names.join(", ")}`;
+    },
+    force: (names) => {
+      check(names, true).forEach(n => { control.force.add(n); control.skip.delete(n); });
+      wake();
+      return `Forcing a mint for ${names.join(", ")}${control.paused ? " (loop is paused)" : ""}`;
+    },
+    skip: (names) => {
+      check(names, true).forEach(n => { control.skip.add(n); control.force.delete(n); });
+      return `Skipping the next mint of ${names.join(", ")}`;
+    },
+    reload: () => {
+      try { reloadConfig(); } catch (e) { throw new Error(`Could not reload config.json: ${e.message}`); }
+      mintedOutBots.clear();
+      supplyCache.clear();
+      loadPlan();
+      wake();
+      return `Reloaded config.json (mint plan ${lastPlanErrors ? "invalid, kept the previous one" : "ok"}), ${known().length} bot(s), ${readProxies().length} proxies, solver ${shared.SOLVER_MODE}`;
+    }
+  };
+}
+
+async function startControl(port, opts) {
+  try {
+    await startControlServer(port, controlHandlers(opts), readConfig().control_token);
+    log("START", `Control: http://127.0.0.1:${port} (molt ctl)`);
+  } catch (e) {
+    logResult("START", false, `Could not start control server on port ${port}: ${e.message}`);
+  }
+}
+
+// ─── Supply ──────────────────────────────────────────────────────────────────
+
+const supplyCache = new Map();  // tick -> { token, at }
+const supplyNotes = new Map();  // tick -> last logged reason, so each change is logged once
+
+/** Token info from mbc20.xyz, cached for SUPPLY_CACHE_MS. undefined if the indexer can't be reached. */
+async function getSupply(tick, proxyIdx) {
+  const cached = supplyCache.get(tick);
+  if (cached && Date.now() - cached.at < SUPPLY_CACHE_MS) return cached.token;
+  try {
+    const token = await getTokenInfo(tick, proxyIdx, "SUPPLY");
+    supplyCache.set(tick, { token, at: Date.now() });
+    return token;
+  } catch (e) {
+    log("SUPPLY", `\u26A0 Could not check ${tick} supply: ${e.message} \u2014 minting anyway`);
+    return undefined;
+  }
+}
+
+/** Why a mint of amt can't succeed right now (null if it can, or if the supply is unknown) */
+async function supplyProblem(tick, amt, proxyIdx) {
+  const token = await getSupply(tick, proxyIdx);
+  if (token === undefined) return null;
+  if (token === null) return "not deployed on mbc20.xyz";
+
+  const max = toUnits(token.max);
+  const minted = toUnits(token.minted ?? "0");
+  if (max === null || minted === null) return null;
+  if (minted >= max) return `minted out (${token.minted}/${token.max})`;
+  const left = max - minted;
+  if (left < toUnits(amt)) return `only ${fromUnits(left)} left, below the mint amount ${amt}`;
+  return null;
+}
+
+function noteSupply(tick, amt, problem) {
+  const key = `${tick}:${amt}`;
+  if ((supplyNotes.get(key) || null) === problem) return;
+  supplyNotes.set(key, problem);
+  if (problem) log("SUPPLY", `${tick} ${problem} \u2014 skipping it`);
+  else log("SUPPLY", `${tick} has supply left again`);
+}
+
+// Bots with nothing to mint because every tick left in their plan is out of supply
+const mintedOutBots = new Set();
+
+/**
+ * The bot's next mint from its plan, skipping ticks whose remaining supply can't cover it.
+ * @returns {Promise<{next: {tick, amt}|null, blocked: string[]}>} blocked: ticks skipped for supply
+ */
+async function pickMint(plan, name, status, proxyIdx) {
+  const rule = planForBot(plan, name);
+  const skip = new Set();
+  for (;;) {
+    const next = nextMint(rule, plannedCounts(status, name), skip);
+    if (!next) return { next: null, blocked: [...skip] };
+    const problem = await supplyProblem(next.tick, next.amt, proxyIdx);
+    noteSupply(next.tick, next.amt, problem);
+    if (!problem) return { next, blocked: [...skip] };
+    skip.add(next.tick);
+  }
+}
+
+/**
+ * Mint once for a bot if its cooldown has expired, using the next tick from its plan.
+ * Returns a short result code (mint_ok, mint_unverified, mint_rate_limit, mint_fail,
+ * not_claimed, status_unknown, plan_done, minted_out, dry_run) or null when the bot is
+ * still cooling down (force skips that check).
+ */
+async function tryMintBot(bot, proxyIdx, status, dryRun = false, plan = currentPlan || loadPlan(), force = false) {
   const now = new Date().toISOString();
 
   initBotStatus(status, bot.name);
 
   const remaining = getTimeUntilMint(status[bot.name]);
-  if (remaining > 0) return;
+  if (remaining > 0 && !force) return null;
+
+  if (!plan) return "plan_done";
+  const { next, blocked } = await pickMint(plan, bot.name, status, proxyIdx);
+  if (!next) return blocked.length > 0 ? "minted_out" : "plan_done";
+  const payload = mintInscription(next.tick, next.amt);
 
   const maskedKey = bot.apiKey.slice(0, 14) + "..." + bot.apiKey.slice(-4);
 
@@ -49,47 +369,63 @@ async function tryMintBot(bot, proxyIdx, status) {
   const apiStatus = await checkClaimStatus(bot, proxyIdx, bot.name);
   status[bot.name].last_status_check = now;
 
-  if (!apiStatus) { log(bot.name, "\u274C Could not check status. Skipping."); return; }
+  if (!apiStatus) { log(bot.name, "\u274C Could not check status. Skipping."); return "status_unknown"; }
   log(bot.name, `Status: ${apiStatus}`);
+  if (status[bot.name].claimed && apiStatus !== "claimed") notify("bot.unclaimed", { bot: bot.name, status: apiStatus });
   status[bot.name].claimed = apiStatus === "claimed";
 
-  if (!status[bot.name].claimed) { log(bot.name, "\u23F3 Bot not claimed yet. Skipping."); return; }
+  if (!status[bot.name].claimed) { log(bot.name, "\u23F3 Bot not claimed yet. Skipping."); return "not_claimed"; }
 
   // Mint
-  console.log(SEP2);
-  log(bot.name, "Minting tokens...");
-  log(bot.name, `Payload: ${JSON.stringify(MINT_PAYLOAD)}`);
+  logSep(SEP2);
+  log(bot.name, `Minting ${payload.amt} ${payload.tick} (minted so far: ${status[bot.name].mint_counts[payload.tick] || 0})...`);
+  log(bot.name, `Payload: ${JSON.stringify(payload)}`);
+
+  if (dryRun) {
+    log(bot.name, "[dry-run] Not posting.");
+    return "dry_run";
+  }
 
   const mintId    = Math.random().toString(36).slice(2, 10);
-  const mintTitle = `Minting ${MINT_PAYLOAD.tick} - #${mintId}`;
-  const mintContent = JSON.stringify(MINT_PAYLOAD) + "\n\nmbc20.xyz";
-  const mintResp  = await createPost(bot.apiKey, MBC20_SUBMOLT, mintTitle, mintContent, proxyIdx, bot.name);
+  const mintTitle = `Minting ${payload.tick} - #${mintId}`;
+  const mintResp  = await postInscription(bot.apiKey, mintTitle, payload, proxyIdx, bot.name, bot.name);
+  const ctx = { bot: bot.name, op: "mint", tick: payload.tick, status: mintResp.statusCode };
 
-  log(bot.name, `POST status: ${mintResp.statusCode}`);
+  log(bot.name, `POST status: ${mintResp.statusCode}`, ctx);
 
   if (mintResp.statusCode >= 200 && mintResp.statusCode < 300) {
-    logResult(bot.name, true, "Mint post created!");
     const postId = mintResp.json?.post?.id;
-    if (postId) log(bot.name, `Post ID: ${postId}`);
-    if (mintResp.json?.post?.url) log(bot.name, `URL: https://www.moltbook.com${mintResp.json.post.url}`);
+    ctx.post_id = postId || null;
+    logResult(bot.name, true, "Mint post created!", ctx);
+    if (postId) log(bot.name, `Post ID: ${postId}`, ctx);
+    if (mintResp.json?.post?.url) log(bot.name, `URL: ${MOLTBOOK_URL}${mintResp.json.post.url}`);
 
-    let verified = false;
+    let verified = !mintResp.json?.verification_required;
     if (mintResp.json?.verification_required) {
       const v = mintResp.json.verification;
       log(bot.name, `Verification required! Expires: ${v.expires_at}`);
-      const vResp = await verifyPost(bot.apiKey, v.code, v.challenge, proxyIdx, `${bot.name}/VERIFY`);
+      // Saved before solving so the code survives a crash or forced shutdown
+      addPendingVerification(status, bot.name, "mint", postId, v, "interrupted before verification", { tick: payload.tick });
+      await saveStatus(status);
+      const vResp = await verifyPost(bot.apiKey, v.code, v.challenge, proxyIdx, `${bot.name}/VERIFY`, { expiresAt: v.expires_at });
+      const others = status[bot.name].pending_verifications.filter(p => p.code !== v.code);
       if (vResp?.json?.success) {
-        logResult(bot.name, true, "Mint verified and published!");
+        status[bot.name].pending_verifications = others;
+        logResult(bot.name, true, "Mint verified and published!", ctx);
         verified = true;
-        if (vResp.json.content_id) log(bot.name, `URL: https://www.moltbook.com/post/${vResp.json.content_id}`);
+        if (vResp.json.content_id) log(bot.name, `URL: ${MOLTBOOK_URL}/post/${vResp.json.content_id}`);
+      } else {
+        status[bot.name].pending_verifications = others;
+        addPendingVerification(status, bot.name, "mint", postId, v, verifyError(vResp), { tick: payload.tick });
+        notify("verification.failed", { bot: bot.name, op: "mint", tick: payload.tick, post_id: postId || null, error: verifyError(vResp), expires_at: v.expires_at || null });
+        log(bot.name, "\u26A0 Mint not verified \u2014 will retry until the code expires", ctx);
       }
     }
 
-    // Save post ID for later indexing on mbc20.xyz
-    if (postId && verified) {
-      if (!status[bot.name].post_ids) status[bot.name].post_ids = [];
-      status[bot.name].post_ids.push(postId);
-      log(bot.name, `Saved post ID for indexing (total: ${status[bot.name].post_ids.length})`);
+    if (verified) {
+      savePostId(status, bot.name, postId);
+      countMint(status, bot.name, payload.tick);
+      notify("mint.verified", { bot: bot.name, tick: payload.tick, amt: payload.amt, post_id: postId || null });
     }
 
     status[bot.name].last_mint_attempt = now;
@@ -99,7 +435,7 @@ async function tryMintBot(bot, proxyIdx, status) {
     } else {
       status[bot.name].next_mint_at = new Date(Date.now() + MINT_COOLDOWN_MS).toISOString();
     }
-    status[bot.name].last_post_result  = "mint_ok";
+    status[bot.name].last_post_result  = verified ? "mint_ok" : "mint_unverified";
     log(bot.name, `Next mint at: ${status[bot.name].next_mint_at.replace("T", " ").slice(0, 19)}`);
   } else if (mintResp.statusCode === 429) {
     // Use exact retry time from API response
@@ -108,33 +444,143 @@ async function tryMintBot(bot, proxyIdx, status) {
       || 1800;
     const retryMin = Math.ceil(retrySeconds / 60);
     const nextMintAt = new Date(Date.now() + retrySeconds * 1000).toISOString();
-    logResult(bot.name, false, `Rate limited \u2014 retry in ${retryMin} min`);
+    logResult(bot.name, false, `Rate limited \u2014 retry in ${retryMin} min`, ctx);
     log(bot.name, `Next mint at: ${nextMintAt.replace("T", " ").slice(0, 19)}`);
     status[bot.name].last_post_result  = `mint_rate_limit: ${retryMin}min`;
     status[bot.name].last_mint_attempt = now;
     status[bot.name].next_mint_at = nextMintAt;
+    notify("mint.rate_limited", { bot: bot.name, tick: payload.tick, retry_after_seconds: retrySeconds, next_mint_at: nextMintAt });
   } else {
-    logResult(bot.name, false, `Mint failed: HTTP ${mintResp.statusCode}`);
+    logResult(bot.name, false, `Mint failed: HTTP ${mintResp.statusCode}`, ctx);
     if (mintResp.json) log(bot.name, `Error: ${JSON.stringify(mintResp.json)}`);
     status[bot.name].last_post_result = `mint_fail: ${mintResp.statusCode}`;
+    notify("mint.failed", { bot: bot.name, tick: payload.tick, status: mintResp.statusCode, error: mintResp.json?.error || null });
   }
+  return status[bot.name].last_post_result.split(":")[0];
+}
+
+/** Save a verified mint's post ID for later indexing on mbc20.xyz */
+function savePostId(status, name, postId) {
+  if (!postId) return;
+  status[name].post_ids.push(postId);
+  log(name, `Saved post ID for indexing (total: ${status[name].post_ids.length})`);
+}
+
+/** Max workers per pass (mint_concurrency, re-read every pass) */
+function concurrencyLimit(opts) {
+  return Math.max(1, Math.floor(Number(opts.concurrency ?? readConfig().mint_concurrency)) || 1);
+}
+
+/** Record a result and, in continuous --json mode, print it as a JSON line */
+function emitter(results, opts) {
+  return (r) => {
+    results.push(r);
+    session.results[r.result] = (session.results[r.result] || 0) + 1;
+    if (opts.json && !opts.once) process.stdout.write(JSON.stringify({ ts: new Date().toISOString(), ...r }) + "\n");
+  };
+}
+
+/** Retry pending mint verifications of every bot, cooling down or not */
+async function resumeMints(bots, proxies, status, opts) {
+  const results = [];
+  const emit = emitter(results, opts);
+
+  const jobs = bots
+    .map((bot, i) => ({ bot, proxyIdx: proxies.length > 0 ? i % proxies.length : -1 }))
+    .filter(({ bot }) => !control.pausedBots.has(bot.name)
+      && (status[bot.name]?.pending_verifications || []).some(p => p.op === "mint"));
+
+  await mapLimit(jobs, concurrencyLimit(opts), ({ bot, proxyIdx }) => inFlightBot(bot.name, async () => {
+    const own = loadStatus(); // this worker's own copy, so saveStatus() only merges this bot's changes
+    initBotStatus(own, bot.name);
+
+    const before = own[bot.name].pending_verifications.length;
+    let verified = [];
+    try {
+      verified = await resumePendingVerifications(bot, own, "mint", proxyIdx,
+        (p) => notify("verification.expired", { bot: bot.name, op: "mint", tick: p.tick, post_id: p.post_id, reason: p.reason }));
+    } catch (e) {
+      log(bot.name, `\u274C ERROR: ${e?.message || e}`);
+    }
+    for (const p of verified) {
+      logResult(bot.name, true, `Mint ${p.post_id || ""} verified and published!`, { bot: bot.name, op: "mint", tick: p.tick, post_id: p.post_id });
+      savePostId(own, bot.name, p.post_id);
+      countMint(own, bot.name, p.tick);
+      own[bot.name].last_post_result = "mint_ok";
+      recordMint(bot.name, "mint_ok", true);
+      notify("mint.verified", { bot: bot.name, tick: p.tick, post_id: p.post_id, resumed: true });
+      emit({ bot: bot.name, result: "mint_ok", post_id: p.post_id, resumed: true });
+    }
+    if (before - own[bot.name].pending_verifications.length > verified.length) {
+      recordMint(bot.name, "mint_expired", true);
+      emit({ bot: bot.name, result: "mint_expired", resumed: true });
+    }
+    await saveStatus(own);
+  }));
+  return results;
 }
 
-async function checkLoop() {
-  const bots    = readBots();
+/** One pass over all bots. Returns the results of the bots that were ready. */
+async function checkLoop(opts = {}) {
+  if (control.paused || stopping) return [];
+
+  // Posting a mint (or retrying a pending one) without a solver would only waste verification codes
+  const budget = llmSolvingPaused();
+  if (budget) {
+    if (!budgetPaused) log("CYCLE", `\u26A0 ${budgetMessage(budget)} \u2014 not minting`);
+    budgetPaused = true;
+    return [];
+  }
+  if (budgetPaused) log("CYCLE", "Daily LLM budget cleared \u2014 minting resumes");
+  budgetPaused = false;
+
+  session.passes++;
+
+  const bots    = selectBots(readBots(), opts.bots);
   const proxies = readProxies();
-  const status  = loadStatus();
+  let status    = loadStatus();
+
+  const plan    = loadPlan();
+
+  const results = opts.dryRun ? [] : await resumeMints(bots, proxies, status, opts);
+  if (results.length > 0) status = loadStatus(); // resumed mints changed counts / results
+  const emit    = emitter(results, opts);
 
   const readyBots   = [];
   const waitingBots = [];
 
   for (let i = 0; i < bots.length; i++) {
-    initBotStatus(status, bots[i].name);
-    const remaining = getTimeUntilMint(status[bots[i].name]);
+    const name = bots[i].name;
+    if (control.pausedBots.has(name)) continue;
+    initBotStatus(status, name);
+    const forced = control.force.has(name);
+    if (!plan || !nextMintFor(plan, name, status)) { // plan finished
+      if (forced) log("CONTROL", `${name} has nothing left to mint \u2014 force dropped`);
+      control.force.delete(name);
+      continue;
+    }
+    const proxyIdx  = proxies.length > 0 ? i % proxies.length : -1;
+    const remaining = forced ? 0 : getTimeUntilMint(status[name]);
+    if (remaining === 0 && control.skip.has(name)) {
+      control.skip.delete(name);
+      status[name].next_mint_at = new Date(Date.now() + MINT_COOLDOWN_MS).toISOString();
+      if (!opts.dryRun) await saveStatus(status);
+      log(name, `Skipping this mint (control) \u2014 next at ${status[name].next_mint_at.replace("T", " ").slice(0, 19)}`);
+      emit({ bot: name, result: "skipped", next_mint_at: status[name].next_mint_at });
+      continue;
+    }
     if (remaining === 0) {
-      readyBots.push({ bot: bots[i], proxyIdx: proxies.length > 0 ? i % proxies.length : -1 });
+      const { next, blocked } = await pickMint(plan, name, status, proxyIdx);
+      if (!next) {
+        mintedOutBots.add(name);
+        control.force.delete(name);
+        if (opts.once) results.push({ bot: name, result: "minted_out", ticks: blocked });
+        continue;
+      }
+      mintedOutBots.delete(name);
+      readyBots.push({ bot: bots[i], proxyIdx, forced });
     } else {
-      waitingBots.push({ name: bots[i].name, secs: Math.ceil(remaining / 1000), mins: Math.ceil(remaining / 60000) });
+      waitingBots.push({ name, secs: Math.ceil(remaining / 1000), mins: Math.ceil(remaining / 60000) });
     }
   }
 
@@ -142,63 +588,109 @@ async function checkLoop() {
     const nearestSec = Math.min(...waitingBots.map(w => w.secs));
     const mm = Math.floor(nearestSec / 60);
     const ss = nearestSec % 60;
-    process.stdout.write(`\r[${new Date().toISOString().replace("T", " ").slice(0, 19)}] Waiting... ${waitingBots.length} cooling down (nearest: ${mm}m ${ss}s)   `);
-    return;
+    const waiting = `Waiting... ${waitingBots.length} cooling down (nearest: ${mm}m ${ss}s)`;
+    if (isPlain()) log("WAIT", waiting);
+    else if (!opts.json) process.stdout.write(`\r[${ts()}] ${waiting}   `);
+    return results;
   }
 
   if (readyBots.length > 0) {
-    console.log(`\n${"█".repeat(70)}`);
-    log("CYCLE", `${readyBots.length} bot(s) ready to mint, ${waitingBots.length} cooling down`);
-    console.log(`${"█".repeat(70)}`);
-
-    for (const { bot, proxyIdx } of readyBots) {
-      try { await tryMintBot(bot, proxyIdx, status); }
-      catch (e) { log(bot.name, `\u274C ERROR: ${e?.message || e}`); }
-      saveStatus(status); // save after each bot so progress isn't lost on crash
-    }
+    logSep("\u2588".repeat(70), true);
+    const concurrency = Math.min(concurrencyLimit(opts), readyBots.length);
+    log("CYCLE", `${readyBots.length} bot(s) ready to mint, ${waitingBots.length} cooling down${concurrency > 1 ? ` (${concurrency} at a time)` : ""}`);
+    logSep("\u2588".repeat(70));
+
+    await mapLimit(readyBots, concurrency, ({ bot, proxyIdx, forced }) => inFlightBot(bot.name, async () => {
+      const own = loadStatus(); // this worker's own copy, so saveStatus() only merges this bot's changes
+      let result;
+      control.force.delete(bot.name);
+      try { result = await tryMintBot(bot, proxyIdx, own, opts.dryRun, plan, forced); }
+      catch (e) { log(bot.name, `\u274C ERROR: ${e?.message || e}`); result = "error"; }
+      if (!opts.dryRun) await saveStatus(own); // save after each bot so progress isn't lost on crash
+      recordMint(bot.name, result);
+      emit({ bot: bot.name, result, next_mint_at: own[bot.name]?.next_mint_at ?? null });
+    }));
 
     if (waitingBots.length > 0) {
-      console.log(SEP2);
+      logSep(SEP2);
       log("WAIT", "Bots still cooling down:");
       for (const w of waitingBots) log("WAIT", `  ${w.name} \u2014 ~${w.mins} min remaining`);
     }
-    console.log(`\n${SEP}`);
-    log("CYCLE", `Done. Checking again in ${CHECK_INTERVAL_MS / 1000}s.`);
-    console.log(SEP);
+    logSep(SEP, true);
+    log("CYCLE", opts.once ? "Done." : `Done. Checking again in ${CHECK_INTERVAL_MS / 1000}s.`);
+    logSep();
   }
+  return results;
 }
 
-async function main() {
-  const bots    = readBots();
+const MINT_FAILURES = ["mint_fail", "mint_unverified", "mint_expired", "status_unknown", "error"];
+
+/**
+ * Run the minter.
+ * @param {object} [opts]
+ * @param {string[]} [opts.bots]  - Only these bot names
+ * @param {boolean} [opts.once]   - Single pass over ready bots, then return
+ * @param {boolean} [opts.dryRun] - Check status but don't post or save
+ * @param {boolean} [opts.json]   - Print one JSON line per mint attempt
+ * @param {number} [opts.metricsPort] - Serve Prometheus metrics on this port (default: metrics_port from config)
+ * @param {number} [opts.controlPort] - Serve the control API on this port (default: control_port from config)
+ * @param {number} [opts.concurrency] - Bots minted at the same time (default: mint_concurrency from config)
+ * @returns {Promise<{ok: boolean, results: Array}>} only when opts.once is set
+ */
+async function run(opts = {}) {
+  const bots    = selectBots(readBots(), opts.bots);
   const proxies = readProxies();
 
-  console.log(SEP);
-  log("START", "MOLT \u2014 Auto Mint");
+  logSep();
+  log("START", `MOLT \u2014 Auto Mint${opts.once ? " (single pass)" : ""}${opts.dryRun ? " (dry run)" : ""}`);
   log("START", `Bots: ${bots.length} | Proxies: ${proxies.length}`);
-  log("START", `Wallet: ${WALLET || "(not set)"}`);
+  log("START", `Wallet: ${shared.WALLET || "(not set)"}`);
   log("START", `Default cooldown: ${MINT_COOLDOWN_MS / 60000} min`);
-  log("START", `ChatGPT: ${OPENAI_API_KEY ? `ON (${OPENAI_MODEL})` : "OFF"}`);
-  console.log(SEP);
+  log("START", `Solver: ${shared.SOLVER_MODE} | LLM: ${llmSummary()}`);
+  logSep();
+
+  installShutdownHandlers();
+
+  const plan = loadPlan();
+  if (!plan) {
+    const msg = "Invalid mint plan (check mint_plan / mint_tick / mint_amt in config.json)";
+    logResult("START", false, msg);
+    return { ok: false, results: [], error: msg };
+  }
 
   const status = loadStatus();
   for (const bot of bots) {
     initBotStatus(status, bot.name);
+    const next = nextMintFor(plan, bot.name, status);
     const remaining = getTimeUntilMint(status[bot.name]);
-    if (remaining === 0) {
-      log("INIT", `${bot.name} \u2014 READY`);
+    if (!next) {
+      log("INIT", `${bot.name} \u2014 plan finished (${planForBot(plan, bot.name) ? "all ticks done" : "no mint_plan rule"})`);
+    } else if (remaining === 0) {
+      log("INIT", `${bot.name} \u2014 READY (${next.amt} ${next.tick})`);
     } else {
       const nextAt = status[bot.name].next_mint_at
         ? new Date(status[bot.name].next_mint_at).toISOString().replace("T", " ").slice(0, 19)
         : "~" + Math.ceil(remaining / 60000) + " min";
-      log("INIT", `${bot.name} \u2014 next at ${nextAt}`);
+      log("INIT", `${bot.name} \u2014 next at ${nextAt} (${next.amt} ${next.tick})`);
     }
   }
-  console.log(SEP);
+  logSep();
+
+  if (opts.once) {
+    const results = await checkLoop(opts);
+    if (stopping) await finishShutdown();
+    return { ok: !stopping?.exitCode && !results.some(r => MINT_FAILURES.includes(r.result)), results };
+  }
+
+  const metricsPort = Number(opts.metricsPort ?? readConfig().metrics_port) || 0;
+  if (metricsPort > 0) await startMetrics(metricsPort, opts);
+  const controlPort = Number(opts.controlPort ?? readConfig().control_port) || 0;
+  if (controlPort > 0) await startControl(controlPort, opts);
 
   // Smart loop: run immediately, then sleep until nearest bot is ready (or max 60s)
-  while (true) {
+  while (!stopping) {
     try {
-      await checkLoop();
+      await checkLoop(opts);
     } catch (e) {
       log("ERR", e?.message || e);
     }
@@ -206,18 +698,32 @@ async function main() {
     // Calculate sleep time: wait until nearest bot is ready, min 10s, max 60s
     const st = loadStatus();
     let nearestMs = CHECK_INTERVAL_MS; // default 60s
-    for (const bot of readBots()) {
+    for (const bot of selectBots(readBots(), opts.bots)) {
       initBotStatus(st, bot.name);
+      if (!currentPlan || !nextMintFor(currentPlan, bot.name, st) || mintedOutBots.has(bot.name) || control.pausedBots.has(bot.name)) continue;
       const rem = getTimeUntilMint(st[bot.name]);
       if (rem > 0 && rem < nearestMs) nearestMs = rem;
       if (rem === 0) { nearestMs = 10000; break; } // someone is ready, check quickly
     }
     const sleepMs = Math.max(10000, Math.min(nearestMs, CHECK_INTERVAL_MS));
-    await new Promise(r => setTimeout(r, sleepMs));
+    if (stopping) break;
+    await new Promise(r => { wakeLoop = r; setTimeout(r, sleepMs); });
+    wakeLoop = null;
   }
+
+  await finishShutdown();
+  process.exit(stopping.exitCode);
 }
 
-process.on("unhandledRejection", (err) => { log("UNHANDLED_REJECTION", err?.stack || err?.message || err); });
-process.on("uncaughtException",  (err) => { log("UNCAUGHT_EXCEPTION", err?.stack || err?.message || err); process.exit(1); });
+/** After the last in-flight bot: give webhooks the rest of the timeout, then summarize */
+async function finishShutdown() {
+  const unsent = await flushWebhooks(stopping.deadline - Date.now());
+  if (unsent > 0) log("STOP", `\u26A0 ${unsent} webhook delivery(s) still unfinished`);
+  printSummary();
+}
+
+module.exports = { run, checkLoop, tryMintBot, getTimeUntilMint };
 
-main().catch(e => { log("FATAL", e?.stack || e?.message || e); process.exit(1); });
+if (require.main === module) {
+  run().catch(e => { log("FATAL", e?.stack || e?.message || e); process.exit(1); });
+}
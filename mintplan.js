@@ -0,0 +1,91 @@
+/**
+ * mintplan.js — Per-bot mint plans
+ *
+ * The "mint_plan" config key is a list of rules; the first rule whose "bots"
+ * contains the bot name (or is "*") applies:
+ *
+ *   "mint_plan": [
+ *     { "bots": ["Bot1", "Bot2"], "mode": "rotate",
+ *       "ticks": [{ "tick": "CLAW", "amt": "100", "max_mints": 20 }, { "tick": "FOO", "amt": "50" }] },
+ *     { "bots": "*", "ticks": [{ "tick": "CLAW", "amt": "100" }] }
+ *   ]
+ *
+ * mode "sequential" (default) mints the first tick until its max_mints is
+ * reached, then the next one; "rotate" alternates between all ticks that
+ * still have mints left. Without mint_plan every bot mints mint_tick/mint_amt.
+ *
+ * Has no dependencies on shared.js so it can be used by any script or tool.
+ */
+
+const { mintInscription, validateInscription } = require("./inscription");
+
+const MODES = ["sequential", "rotate"];
+
+const isObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+
+/**
+ * Normalize the mint plan from a config object.
+ * @returns {{rules: Array, errors: string[]}}
+ */
+function buildMintPlan(config) {
+  const raw = Array.isArray(config.mint_plan) && config.mint_plan.length > 0
+    ? config.mint_plan
+    : [{ bots: "*", ticks: [{ tick: config.mint_tick || "CLAW", amt: config.mint_amt || "100" }] }];
+
+  const errors = [];
+  const rules = raw.map((rule, i) => {
+    const where = `mint_plan[${i}]`;
+    if (!isObject(rule)) {
+      errors.push(`${where}: rule #${i} must be an object`);
+      return { bots: [], mode: "sequential", ticks: [] }; // matches no bot
+    }
+    const bots = rule.bots === "*" || rule.bots === undefined ? "*" : [].concat(rule.bots).map(String);
+    const mode = rule.mode || "sequential";
+    if (!MODES.includes(mode)) errors.push(`${where}: unknown mode "${mode}" (expected ${MODES.join(" or ")})`);
+    if (!Array.isArray(rule.ticks) || rule.ticks.length === 0) errors.push(`${where}: "ticks" must be a non-empty list`);
+
+    const ticks = (Array.isArray(rule.ticks) ? rule.ticks : []).flatMap((t, j) => {
+      if (!isObject(t)) {
+        errors.push(`${where}.ticks[${j}]: must be an object`);
+        return [];
+      }
+      const payload = mintInscription(t.tick, t.amt);
+      for (const e of validateInscription(payload)) errors.push(`${where}.ticks[${j}]: ${e}`);
+      const maxMints = t.max_mints === undefined || t.max_mints === null ? null : Number(t.max_mints);
+      if (maxMints !== null && !(Number.isInteger(maxMints) && maxMints > 0)) {
+        errors.push(`${where}.ticks[${j}]: max_mints must be a positive integer`);
+      }
+      return [{ tick: payload.tick, amt: payload.amt, max_mints: maxMints }];
+    });
+
+    return { bots, mode, ticks };
+  });
+
+  return { rules, errors };
+}
+
+/** The plan rule that applies to a bot (null if none) */
+function planForBot(plan, name) {
+  return plan.rules.find(r => r.bots === "*" || r.bots.includes(name)) || null;
+}
+
+/**
+ * Pick the next tick to mint.
+ * @param {object|null} rule     - Result of planForBot()
+ * @param {object} counts        - Verified mints per tick ({ TICK: n })
+ * @param {Set<string>} [skip]   - Ticks to leave out this time
+ * @returns {{tick: string, amt: string}|null} null when the plan is finished
+ */
+function nextMint(rule, counts = {}, skip = new Set()) {
+  if (!rule) return null;
+  const open = rule.ticks.filter(t => !skip.has(t.tick) && (t.max_mints === null || (counts[t.tick] || 0) < t.max_mints));
+  if (open.length === 0) return null;
+
+  // rotate: fewest mints first, plan order breaks ties
+  const pick = rule.mode === "rotate"
+    ? open.reduce((best, t) => ((counts[t.tick] || 0) < (counts[best.tick] || 0) ? t : best))
+    : open[0];
+  return { tick: pick.tick, amt: pick.amt };
+}
+
+module.exports = { buildMintPlan, planForBot, nextMint };
@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * mockserver.js — Local Moltbook + mbc20.xyz stand-in for offline testing
+ *
+ * Implements the endpoints the scripts talk to:
+ *   - GET  /api/v1/agents/status     claim status per API key
+ *   - POST /api/v1/posts             creates a post + verification challenge (429 on cooldown)
+ *   - GET  /api/v1/posts?author=     published posts of an agent (newest first); with
+ *                                    include_unverified=true and the agent's own API key,
+ *                                    also unverified ones with their live verification
+ *   - GET  /api/v1/posts/:id         single post
+ *   - POST /api/v1/verify            checks the answer, expires codes after MOCK_VERIFY_TTL
+ *   - GET  /api/index-agent?name=    mbc20.xyz agent indexer
+ *   - GET  /api/index-post?id=       mbc20.xyz single-post indexer
+ *   - GET  /api/token?tick=          mbc20.xyz token info (max, lim, minted, deployer)
+ *   - GET  /api/balance?agent=       mbc20.xyz balances of an agent
+ *   - GET  /api/wallet?agent=        mbc20.xyz wallet linked to an agent (from indexed link posts)
+ *   - POST /v1/chat/completions      OpenAI stand-in that answers issued challenges
+ *   - POST /v1/messages              Anthropic Messages stand-in (same answers)
+ *
+ * Point the scripts at it with MOLTBOOK_URL / MBC20_URL / OPENAI_URL
+ * (or moltbook_url / mbc20_url / openai_url in data/config.json).
+ *
+ * Environment:
+ *   MOCK_PORT          Listen port (default 8787)
+ *   MOCK_COOLDOWN      Seconds between posts per agent (default 1800)
+ *   MOCK_VERIFY_TTL    Seconds a verification code stays valid (default 300)
+ *   MOCK_HANGUP_RATE   Probability (0..1) of dropping a request socket (default 0)
+ *   MOCK_UNCLAIMED     Comma-separated agent names reported as pending_claim
+ *
+ * Usage: node mockserver.js
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const { log, readBots, cleanForGPT } = require("./shared");
+
+// ─── Challenge generator ─────────────────────────────────────────────────────
+
+const ONES = ["", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine",
+  "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen",
+  "eighteen", "nineteen"];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+function numberToWords(n) {
+  if (n < 20) return ONES[n];
+  return TENS[Math.floor(n / 10)] + (n % 10 ? " " + ONES[n % 10] : "");
+}
+
+const TEMPLATES = [
+  { op: "add", text: (a, b) => `a lobster claw exerts ${a} newtons and the other claw exerts ${b} newtons, what is the total force`, calc: (a, b) => a + b },
+  { op: "subtract", text: (a, b) => `a lobster swims at ${a} meters per second and slows down by ${b} meters per second, what is its new speed`, calc: (a, b) => a - b },
+  { op: "multiply", text: (a, b) => `a lobster claw exerts ${a} newtons and its grip grows ${b} times stronger, what is the new force`, calc: (a, b) => a * b },
+  { op: "divide", text: (a, b) => `${a} shrimp are shared equally among ${b} lobsters, how many shrimp does each lobster get`, calc: (a, b) => a / b }
+];
+
+function randInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/** Apply the Moltbook obfuscations: random caps, doubled letters, split words, junk chars */
+function obfuscate(text) {
+  const junk = ["]", "^", "~", "/", "{", "}", "-", "'", "<"];
+  return text.split(" ").map(word => {
+    let w = word.split("").map(ch => {
+      let c = Math.random() < 0.5 ? ch.toUpperCase() : ch.toLowerCase();
+      if (/[a-z]/i.test(ch) && Math.random() < 0.15) c += c;
+      return c;
+    }).join("");
+    if (w.length > 4 && Math.random() < 0.3) {
+      const cut = randInt(2, w.length - 2);
+      w = w.slice(0, cut) + " " + w.slice(cut);
+    }
+    if (Math.random() < 0.3) w = junk[randInt(0, junk.length - 1)] + w;
+    return w;
+  }).join(" ");
+}
+
+function makeChallenge() {
+  const tpl = TEMPLATES[randInt(0, TEMPLATES.length - 1)];
+  let a = randInt(2, 99);
+  let b = randInt(2, tpl.op === "add" || tpl.op === "subtract" ? 50 : 9);
+  if (tpl.op === "subtract" && b > a) [a, b] = [b, a];
+  if (tpl.op === "divide") a = b * randInt(1, Math.floor(99 / b));
+  return {
+    op: tpl.op,
+    challenge: obfuscate(tpl.text(numberToWords(a), numberToWords(b))),
+    answer: tpl.calc(a, b).toFixed(2)
+  };
+}
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create a stand-in server. State is kept in memory and exposed on `server.state`
+ * so a test harness can inspect or tweak it.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.cooldownSec=1800]  - Seconds between posts per agent
+ * @param {number} [opts.verifyTtlSec=300]  - Verification code lifetime
+ * @param {number} [opts.hangupRate=0]      - Probability of dropping the socket
+ * @param {string[]} [opts.unclaimed]       - Agent names reported as pending_claim
+ * @returns {http.Server}
+ */
+function createMockServer(opts = {}) {
+  const {
+    cooldownSec = 1800, verifyTtlSec = 300, hangupRate = 0, unclaimed = []
+  } = opts;
+
+  const state = {
+    agents: {},          // apiKey -> { name, status, next_post_at }
+    posts: {},           // postId -> { id, agent, title, content, verified, indexed, created_at }
+    verifications: {},   // code -> { postId, answer, op, cleaned, expires_at }
+    tokens: {},          // tick -> { tick, max, lim, minted, deployer }
+    balances: {},        // agent -> { tick -> number }
+    wallets: {}          // agent -> wallet from the last indexed link post
+  };
+
+  // Known names from data/accs.txt, so index-agent?name= matches the bots
+  for (const bot of readBots()) {
+    state.agents[bot.apiKey] = {
+      name: bot.name,
+      status: unclaimed.includes(bot.name) ? "pending_claim" : "claimed",
+      next_post_at: 0
+    };
+  }
+
+  function getAgent(apiKey) {
+    if (!apiKey) return null;
+    if (!state.agents[apiKey]) {
+      state.agents[apiKey] = { name: `agent_${apiKey.slice(-6)}`, status: "claimed", next_post_at: 0 };
+    }
+    return state.agents[apiKey];
+  }
+
+  /** Mark a post indexed and apply its inscription (deploy / mint / transfer / link) */
+  function indexPostRecord(post) {
+    if (post.indexed) return false;
+    post.indexed = true;
+
+    let ins;
+    try { ins = JSON.parse(post.content.split("\n")[0]); } catch { return true; }
+    if (ins?.p === "mbc-20" && ins.op === "link" && ins.wallet) {
+      state.wallets[post.agent] = String(ins.wallet);
+      return true;
+    }
+    if (ins?.p !== "mbc-20" || !ins.tick) return true;
+    const tick = String(ins.tick).toUpperCase();
+    const token = state.tokens[tick];
+
+    if (ins.op === "deploy" && !token) {
+      state.tokens[tick] = { tick, max: String(ins.max), lim: String(ins.lim), minted: "0", deployer: post.agent };
+    } else if (ins.op === "mint" && token) {
+      // The last mint gets whatever supply is left
+      const amt = Math.min(Number(ins.amt), Number(token.max) - Number(token.minted));
+      if (amt > 0 && Number(ins.amt) <= Number(token.lim)) {
+        token.minted = String(Number(token.minted) + amt);
+        addBalance(post.agent, tick, amt);
+      }
+    } else if (ins.op === "transfer" && token && ins.to) {
+      const amt = Number(ins.amt);
+      if (amt > 0 && (state.balances[post.agent]?.[tick] || 0) >= amt) {
+        addBalance(post.agent, tick, -amt);
+        addBalance(String(ins.to), tick, amt);
+      }
+    }
+    return true;
+  }
+
+  function addBalance(agent, tick, amt) {
+    state.balances[agent] = state.balances[agent] || {};
+    state.balances[agent][tick] = (state.balances[agent][tick] || 0) + amt;
+  }
+
+  function publicPost(p) {
+    return {
+      id: p.id, title: p.title, content: p.content, submolt: p.submolt,
+      author: { name: p.agent }, created_at: p.created_at, url: `/post/${p.id}`
+    };
+  }
+
+  /** A post as its author sees it: verified flag, and the open verification if unverified */
+  function ownPost(p) {
+    const open = Object.entries(state.verifications)
+      .find(([, v]) => v.postId === p.id && new Date(v.expires_at).getTime() >= Date.now());
+    return {
+      ...publicPost(p),
+      verified: p.verified,
+      verification: open ? { code: open[0], challenge: open[1].challenge, expires_at: open[1].expires_at } : null
+    };
+  }
+
+  /** What the stand-in LLM answers for a prompt: the right result if it contains a live challenge */
+  function solveForModel(prompt) {
+    const match = Object.values(state.verifications).find(v => prompt.includes(v.cleaned));
+    return match
+      ? `The problem asks us to ${match.op} the numbers.\n${match.answer}`
+      : "I could not find a problem.\n0.00";
+  }
+
+  function send(res, statusCode, json) {
+    const body = JSON.stringify(json);
+    res.writeHead(statusCode, { "content-type": "application/json", "content-length": Buffer.byteLength(body) });
+    res.end(body);
+  }
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      let data = "";
+      req.on("data", chunk => (data += chunk));
+      req.on("end", () => {
+        try { resolve(JSON.parse(data || "{}")); } catch { resolve({}); }
+      });
+    });
+  }
+
+  const routes = {
+    "GET /api/v1/agents/status": async (req, res) => {
+      const agent = getAgent(req.headers["x-api-key"]);
+      if (!agent) return send(res, 401, { success: false, error: "Missing API key" });
+      send(res, 200, { success: true, status: agent.status, agent: { name: agent.name, status: agent.status } });
+    },
+
+    "POST /api/v1/posts": async (req, res) => {
+      const agent = getAgent(req.headers["x-api-key"]);
+      if (!agent) return send(res, 401, { success: false, error: "Missing API key" });
+      if (agent.status !== "claimed") return send(res, 403, { success: false, error: "Agent is not claimed yet" });
+      const body = await readBody(req);
+
+      const now = Date.now();
+      if (agent.next_post_at > now) {
+        const retrySec = Math.ceil((agent.next_post_at - now) / 1000);
+        return send(res, 429, {
+          success: false,
+          error: "You can only post once every 30 minutes",
+          retry_after_seconds: retrySec,
+          retry_after_minutes: Math.ceil(retrySec / 60)
+        });
+      }
+      if (!body.title || !body.content) return send(res, 400, { success: false, error: "title and content are required" });
+
+      agent.next_post_at = now + cooldownSec * 1000;
+      const id = crypto.randomUUID();
+      state.posts[id] = {
+        id, agent: agent.name, submolt: body.submolt, title: body.title, content: body.content,
+        verified: false, indexed: false, created_at: new Date(now).toISOString()
+      };
+
+      const ch = makeChallenge();
+      const code = crypto.randomBytes(8).toString("hex");
+      const expiresAt = new Date(now + verifyTtlSec * 1000).toISOString();
+      state.verifications[code] = {
+        postId: id, answer: ch.answer, op: ch.op, challenge: ch.challenge, cleaned: cleanForGPT(ch.challenge), expires_at: expiresAt
+      };
+
+      send(res, 201, {
+        success: true,
+        post: { id, title: body.title, url: `/post/${id}` },
+        verification_required: true,
+        verification: { code, challenge: ch.challenge, expires_at: expiresAt }
+      });
+    },
+
+    "GET /api/v1/posts": async (req, res, url) => {
+      const author = url.searchParams.get("author");
+      const limit  = parseInt(url.searchParams.get("limit") || "50", 10);
+      // An agent can see its own unverified posts, with the code still open for each
+      const own = url.searchParams.get("include_unverified") === "true"
+        && !!author && state.agents[req.headers["x-api-key"]]?.name === author;
+      const posts = Object.values(state.posts)
+        .filter(p => (p.verified || own) && (!author || p.agent === author))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+      send(res, 200, { success: true, posts: posts.map(p => own ? ownPost(p) : publicPost(p)) });
+    },
+
+    "GET /api/v1/posts/:id": async (req, res, url) => {
+      const post = state.posts[url.pathname.split("/").pop()];
+      if (!post) return send(res, 404, { success: false, error: "Post not found" });
+      send(res, 200, { success: true, post: { ...publicPost(post), verified: post.verified } });
+    },
+
+    "POST /api/v1/verify": async (req, res) => {
+      const body = await readBody(req);
+      const v = state.verifications[body.verification_code];
+      if (!v) return send(res, 404, { success: false, error: "Unknown verification code" });
+      if (new Date(v.expires_at).getTime() < Date.now()) {
+        delete state.verifications[body.verification_code];
+        return send(res, 410, { success: false, error: "Verification code expired" });
+      }
+      if (String(body.answer) !== v.answer) return send(res, 400, { success: false, error: "Incorrect answer" });
+
+      delete state.verifications[body.verification_code];
+      state.posts[v.postId].verified = true;
+      send(res, 200, { success: true, content_id: v.postId });
+    },
+
+    "GET /api/index-agent": async (req, res, url) => {
+      const name = url.searchParams.get("name");
+      const known = Object.values(state.agents).some(a => a.name === name);
+      if (!known) return send(res, 404, { success: false, error: "Agent not found" });
+
+      const mbc20 = Object.values(state.posts).filter(p => p.agent === name && p.verified && p.content.includes('"mbc-20"'));
+      const fresh = mbc20.filter(p => !p.indexed);
+      fresh.forEach(indexPostRecord);
+      send(res, 200, { success: true, indexed: fresh.length, skipped: mbc20.length - fresh.length, mbc20Posts: mbc20.length });
+    },
+
+    "GET /api/index-post": async (req, res, url) => {
+      const post = state.posts[url.searchParams.get("id")];
+      if (!post || !post.verified) return send(res, 404, { success: false, error: "Post not found" });
+      indexPostRecord(post);
+      send(res, 200, { success: true, id: post.id });
+    },
+
+    "GET /api/token": async (req, res, url) => {
+      const token = state.tokens[String(url.searchParams.get("tick") || "").toUpperCase()];
+      if (!token) return send(res, 404, { success: false, error: "Token not found" });
+      send(res, 200, { success: true, token });
+    },
+
+    "GET /api/balance": async (req, res, url) => {
+      const balances = state.balances[url.searchParams.get("agent")] || {};
+      send(res, 200, { success: true, balances: Object.fromEntries(Object.entries(balances).map(([t, v]) => [t, String(v)])) });
+    },
+
+    "GET /api/wallet": async (req, res, url) => {
+      send(res, 200, { success: true, wallet: state.wallets[url.searchParams.get("agent")] || null });
+    },
+
+    "POST /v1/chat/completions": async (req, res) => {
+      const body = await readBody(req);
+      const content = solveForModel((body.messages || []).filter(m => m.role === "user").map(m => m.content).join("\n"));
+      send(res, 200, {
+        id: `chatcmpl-${crypto.randomBytes(6).toString("hex")}`,
+        model: body.model,
+        choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+        usage: { prompt_tokens: 400, completion_tokens: 20, total_tokens: 420 }
+      });
+    },
+
+    "POST /v1/messages": async (req, res) => {
+      if (!req.headers["x-api-key"]) return send(res, 401, { type: "error", error: { type: "authentication_error", message: "x-api-key header is required" } });
+      const body = await readBody(req);
+      const text = solveForModel((body.messages || []).filter(m => m.role === "user").map(m => m.content).join("\n"));
+      send(res, 200, {
+        id: `msg_${crypto.randomBytes(6).toString("hex")}`,
+        type: "message",
+        role: "assistant",
+        model: body.model,
+        content: [{ type: "text", text }],
+        stop_reason: "end_turn",
+        usage: { input_tokens: 400, output_tokens: 20 }
+      });
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (hangupRate > 0 && Math.random() < hangupRate) {
+      req.socket.destroy(); // simulates "socket hang up" on the client
+      return;
+    }
+    const url = new URL(req.url, "http://localhost");
+    const handler = routes[`${req.method} ${url.pathname}`]
+      || routes[`${req.method} ${url.pathname.replace(/\/[^/]+$/, "/:id")}`];
+    if (!handler) return send(res, 404, { success: false, error: `No route: ${req.method} ${url.pathname}` });
+    try {
+      await handler(req, res, url);
+    } catch (e) {
+      send(res, 500, { success: false, error: e.message });
+    }
+  });
+
+  server.state = state;
+  return server;
+}
+
+module.exports = { createMockServer, makeChallenge, numberToWords, obfuscate };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORT || "8787", 10);
+  const server = createMockServer({
+    cooldownSec: parseFloat(process.env.MOCK_COOLDOWN || "1800"),
+    verifyTtlSec: parseFloat(process.env.MOCK_VERIFY_TTL || "300"),
+    hangupRate: parseFloat(process.env.MOCK_HANGUP_RATE || "0"),
+    unclaimed: (process.env.MOCK_UNCLAIMED || "").split(",").map(s => s.trim()).filter(Boolean)
+  });
+  server.listen(port, () => {
+    log("MOCK", `Listening on http://localhost:${port}`);
+    log("MOCK", `Run scripts with MOLTBOOK_URL=http://localhost:${port} MBC20_URL=http://localhost:${port} OPENAI_URL=http://localhost:${port}`);
+  });
+}
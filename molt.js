@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * molt.js — Unified command line for all MOLT scripts
+ *
+ * Usage: molt <command> [options]
+ *
+ * Exit codes:
+ *   0  success
+ *   1  the command ran but at least one bot/operation failed
+ *   2  usage error (unknown command or bad option)
+ */
+
+const path = require("path");
+
+// Only args.js is loaded up front: shared.js reads the config on require,
+// so --data-dir / --config have to be applied before it is loaded
+const { parseArgs } = require("./args");
+
+const COMMANDS = {
+  mint:     { module: "./mint",      desc: "Mint tokens for every ready bot (runs forever unless --once)" },
+  link:     { module: "./link",      desc: "Link the configured wallet to all claimed bots (check: confirm on mbc20.xyz)" },
+  transfer: { module: "./transfer",  desc: "Transfer tokens (interactive, or --from/--to/--tick/--amt)" },
+  index:    { module: "./indexmint", desc: "Index bot mints on mbc20.xyz" },
+  batch:    { module: "./batch",     desc: "Batch transfers from a CSV/JSON manifest (--manifest)" },
+  deploy:   { module: "./deploy",    desc: "Deploy a new ticker (--from --tick --max --lim)" },
+  ledger:   { module: "./ledger",    desc: "Rebuild balances from bot inscriptions and compare with mbc20.xyz" },
+  status:   { module: "./status",    desc: "Show saved bot state (no API calls)" },
+  usage:    { module: "./usage",     desc: "LLM solver tokens and cost per day, bot and model (no API calls)" },
+  dashboard: { module: "./dashboard", desc: "Serve a local web page with live bot state" },
+  ctl:      { module: "./control",   desc: "Control a running mint loop (state, pause, resume, force, skip, reload)" }
+};
+
+const WEBHOOK_FLUSH_MS = 10000; // how long a finished command waits for webhook deliveries
+
+const BOOLEAN_FLAGS = ["dry-run", "json", "once", "help", "confirm"];
+const VALUE_FLAGS = [
+  "bots", "config", "data-dir", "concurrency", "metrics-port", "control-port", "port",
+  "from", "to", "tick", "amt", "max", "lim", "days", "manifest", "report"
+];
+
+const HELP = `
+Usage: molt <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(10)} ${c.desc}`).join("\n")}
+
+Common options:
+  --bots a,b         Only process these bot names
+  --config PATH      Config file (default: <data-dir>/config.json)
+  --data-dir PATH    Data directory (default: ./data)
+  --dry-run          Check state but don't post or save anything
+  --json             Print a machine-readable JSON result on stdout (logs go to stderr)
+  --help             Show this help
+
+mint options:
+  --once             Single pass over ready bots, then exit
+  --concurrency N    Mint up to N bots at the same time (default: mint_concurrency in config, else 1)
+  --metrics-port N   Serve Prometheus metrics on 127.0.0.1:N/metrics (default: metrics_port in config)
+  --control-port N   Accept molt ctl commands on 127.0.0.1:N (default: control_port in config)
+
+transfer options:
+  --from NAME        Sender bot
+  --to NAME          Recipient agent
+  --tick TICK        Token ticker (default: CLAW)
+  --amt N            Amount
+
+batch options:
+  --manifest PATH    CSV (from,to,tick,amt) or JSON manifest
+  --report PATH      Per-row report / resume file (default: <manifest>.report.json)
+  --confirm          Show a preview and ask before posting
+
+deploy options:
+  --from NAME        Deployer bot
+  --tick TICK        Ticker to deploy
+  --max N            Max supply
+  --lim N            Max amount per mint
+
+link usage: molt link [check] [--bots a,b]
+  check asks mbc20.xyz which wallet each bot is linked to and flags mismatches (never posts)
+
+usage options:
+  --days N           Days to report, counting today (default: 7)
+
+dashboard options:
+  --port N           Listen port on 127.0.0.1 (default: dashboard_port in config, else 8420)
+
+ctl usage: molt ctl <state|pause|resume|force|skip|reload> [--bots a,b] [--control-port N]
+  pause / resume without --bots apply to the whole loop; force and skip need --bots
+
+Exit codes: 0 success, 1 operation failed, 2 usage error
+`;
+
+function isPort(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && n < 65536;
+}
+
+function usageError(msg) {
+  console.error(`molt: ${msg}\nRun "molt --help" for usage.`);
+  process.exit(2);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), BOOLEAN_FLAGS);
+  const [command] = args._;
+
+  for (const key of Object.keys(args).filter(k => k !== "_")) {
+    if (!BOOLEAN_FLAGS.includes(key) && !VALUE_FLAGS.includes(key)) usageError(`unknown option "--${key}"`);
+    if (VALUE_FLAGS.includes(key) && (args[key] === true || args[key] === "")) usageError(`--${key} needs a value`);
+  }
+
+  if (args.help || !command) {
+    console.log(HELP);
+    process.exit(command || args.help ? 0 : 2);
+  }
+  if (!COMMANDS[command]) usageError(`unknown command "${command}"`);
+
+  for (const flag of ["metrics-port", "control-port", "port"]) {
+    if (args[flag] !== undefined && !isPort(args[flag])) usageError(`--${flag} must be a port number (got "${args[flag]}")`);
+  }
+
+  const concurrency = args.concurrency;
+  if (concurrency !== undefined && !(Number.isInteger(Number(concurrency)) && Number(concurrency) > 0)) {
+    usageError(`--concurrency must be a positive integer (got "${concurrency}")`);
+  }
+
+  if (args.days !== undefined && !(Number.isInteger(Number(args.days)) && Number(args.days) > 0)) {
+    usageError(`--days must be a positive integer (got "${args.days}")`);
+  }
+
+  if (args["data-dir"]) process.env.MOLT_DATA_DIR = path.resolve(String(args["data-dir"]));
+  if (args.config)      process.env.MOLT_CONFIG   = path.resolve(String(args.config));
+
+  // With --json, stdout carries only the JSON result
+  if (args.json) console.log = (...a) => console.error(...a);
+
+  const { log } = require("./shared");
+  const opts = {
+    bots: args.bots ? String(args.bots).split(",").map(s => s.trim()).filter(Boolean) : [],
+    dryRun: !!args["dry-run"],
+    json: !!args.json,
+    once: !!args.once,
+    concurrency: concurrency !== undefined ? Number(concurrency) : undefined,
+    metricsPort: args["metrics-port"] !== undefined ? Number(args["metrics-port"]) : undefined,
+    controlPort: args["control-port"] !== undefined ? Number(args["control-port"]) : undefined,
+    port: args.port !== undefined ? Number(args.port) : undefined,
+    action: args._[1],
+    from: args.from, to: args.to, tick: args.tick, amt: args.amt,
+    max: args.max, lim: args.lim, days: args.days,
+    manifest: args.manifest, report: args.report, confirm: !!args.confirm
+  };
+
+  let outcome;
+  try {
+    outcome = await require(COMMANDS[command].module).run(opts);
+  } catch (e) {
+    log("FATAL", e?.stack || e?.message || e);
+    process.exit(1);
+  }
+
+  // Give failed webhook deliveries a short chance to retry before exiting
+  const unsent = await require("./webhooks").flushWebhooks(WEBHOOK_FLUSH_MS);
+  if (unsent > 0) log("WEBHOOK", `\u26A0 ${unsent} webhook delivery(s) unfinished at exit (see data/webhooks.jsonl)`);
+
+  if (args.json && outcome) process.stdout.write(JSON.stringify({ command, ...outcome }, null, 2) + "\n");
+  process.exitCode = outcome && !outcome.ok ? 1 : 0;
+}
+
+main();
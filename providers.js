@@ -0,0 +1,204 @@
+/**
+ * providers.js — LLM backends for the challenge solver
+ *
+ * "solver_providers" in config.json lists backends in the order they are
+ * tried; when one errors or times out, the next one gets the challenge:
+ *
+ *   "solver_providers": [
+ *     { "type": "openai", "model": "gpt-4o-mini" },
+ *     { "type": "anthropic", "api_key": "sk-ant-...", "model": "claude-3-5-haiku-latest" },
+ *     { "type": "openai-compatible", "name": "ollama", "base_url": "http://127.0.0.1:11434/v1",
+ *       "model": "llama3.1", "headers": { "x-team": "molt" }, "timeout": 60 }
+ *   ]
+ *
+ * Types:
+ *   openai             OpenAI chat completions (api_key, model and base URL default
+ *                      to openai_api_key / openai_model / openai_url)
+ *   anthropic          Anthropic Messages API (api_key defaults to env ANTHROPIC_API_KEY)
+ *   openai-compatible  Any server with a /chat/completions endpoint (vLLM, Ollama,
+ *                      LM Studio, ...); base_url and model are required, api_key is optional
+ * Every provider also takes name (default: its type), headers (sent with every
+ * request) and timeout (seconds, default 30). Without solver_providers the
+ * solver uses a single "openai" provider.
+ *
+ * Token prices (USD per million tokens) for cost accounting come from PRICES,
+ * overridden or extended by "solver_prices" in config.json:
+ *
+ *   "solver_prices": { "llama3.1": { "input": 0, "output": 0 } }
+ *
+ * A dated model name ("gpt-4o-mini-2024-07-18") uses the longest listed prefix.
+ *
+ * Providers only build requests and read replies; shared.js sends them.
+ * Has no dependencies on shared.js so it can be used by any script or tool.
+ */
+
+const DEFAULT_TIMEOUT = 30; // seconds
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// ─── Wire formats ────────────────────────────────────────────────────────────
+
+function chatCompletionsRequest(p, { system, user, maxTokens, temperature }) {
+  return {
+    url: `${p.baseUrl}/chat/completions`,
+    headers: { ...(p.apiKey ? { "authorization": `Bearer ${p.apiKey}` } : {}), ...p.headers },
+    body: {
+      model: p.model,
+      messages: [{ role: "system", content: system }, { role: "user", content: user }],
+      max_tokens: maxTokens,
+      temperature
+    }
+  };
+}
+
+function chatCompletionsReply(json) {
+  return json?.choices?.[0]?.message?.content || null;
+}
+
+function chatCompletionsUsage(json) {
+  const u = json?.usage;
+  return u ? { input: Number(u.prompt_tokens) || 0, output: Number(u.completion_tokens) || 0 } : null;
+}
+
+function messagesRequest(p, { system, user, maxTokens, temperature }) {
+  return {
+    url: `${p.baseUrl}/v1/messages`,
+    headers: { "x-api-key": p.apiKey, "anthropic-version": ANTHROPIC_VERSION, ...p.headers },
+    body: {
+      model: p.model,
+      system,
+      messages: [{ role: "user", content: user }],
+      max_tokens: maxTokens,
+      temperature
+    }
+  };
+}
+
+function messagesReply(json) {
+  const text = (json?.content || []).filter(c => c.type === "text").map(c => c.text).join("");
+  return text || null;
+}
+
+function messagesUsage(json) {
+  const u = json?.usage;
+  return u ? { input: Number(u.input_tokens) || 0, output: Number(u.output_tokens) || 0 } : null;
+}
+
+// defaults: { openaiUrl, openaiModel, openaiApiKey, anthropicApiKey }
+const TYPES = {
+  "openai": {
+    baseUrl: (d) => `${d.openaiUrl}/v1`,
+    model: (d) => d.openaiModel,
+    apiKey: (d) => d.openaiApiKey,
+    request: chatCompletionsRequest,
+    reply: chatCompletionsReply,
+    usage: chatCompletionsUsage
+  },
+  "anthropic": {
+    baseUrl: () => "https://api.anthropic.com",
+    model: () => "claude-3-5-haiku-latest",
+    apiKey: (d) => d.anthropicApiKey,
+    request: messagesRequest,
+    reply: messagesReply,
+    usage: messagesUsage
+  },
+  "openai-compatible": {
+    baseUrl: () => "",
+    model: () => "",
+    apiKey: () => "",
+    optionalKey: true,
+    request: chatCompletionsRequest,
+    reply: chatCompletionsReply,
+    usage: chatCompletionsUsage
+  }
+};
+
+// ─── Config ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build the provider chain from a config object.
+ * Providers that need an API key but have none are left out (listed in "skipped").
+ * @param {object} config
+ * @param {object} defaults - { openaiUrl, openaiModel, openaiApiKey, anthropicApiKey }
+ * @returns {{providers: Array, skipped: string[], errors: string[]}}
+ */
+function buildProviders(config, defaults) {
+  const raw = Array.isArray(config.solver_providers) && config.solver_providers.length > 0
+    ? config.solver_providers
+    : [{ type: "openai" }];
+
+  const errors = [];
+  const skipped = [];
+  const providers = [];
+  raw.forEach((rule, i) => {
+    const where = `solver_providers[${i}]`;
+    const spec = TYPES[rule?.type];
+    if (!spec) return errors.push(`${where}: unknown type "${rule?.type ?? ""}" (expected ${Object.keys(TYPES).join(", ")})`);
+
+    const p = {
+      name: String(rule.name || rule.type),
+      type: rule.type,
+      baseUrl: String(rule.base_url || spec.baseUrl(defaults)).replace(/\/+$/, ""),
+      model: String(rule.model || spec.model(defaults)),
+      apiKey: String(rule.api_key || spec.apiKey(defaults) || ""),
+      headers: rule.headers || {},
+      timeout: rule.timeout === undefined ? DEFAULT_TIMEOUT : Number(rule.timeout),
+      request: spec.request,
+      reply: spec.reply,
+      usage: spec.usage
+    };
+    const before = errors.length;
+    if (!p.baseUrl) errors.push(`${where}: base_url is required for ${p.type}`);
+    if (!p.model) errors.push(`${where}: model is required for ${p.type}`);
+    if (typeof p.headers !== "object" || Array.isArray(p.headers)) errors.push(`${where}: headers must be an object`);
+    if (!(p.timeout > 0)) errors.push(`${where}: timeout must be a positive number of seconds`);
+    if (providers.some(o => o.name === p.name)) errors.push(`${where}: duplicate name "${p.name}" (set "name")`);
+    if (errors.length > before) return;
+
+    if (!p.apiKey && !spec.optionalKey) skipped.push(p.name);
+    else providers.push(p);
+  });
+
+  return { providers, skipped, errors };
+}
+
+// ─── Pricing ─────────────────────────────────────────────────────────────────
+
+// USD per million tokens
+const PRICES = {
+  "gpt-4o-mini":      { input: 0.15, output: 0.60 },
+  "gpt-4o":           { input: 2.50, output: 10.00 },
+  "gpt-4.1-nano":     { input: 0.10, output: 0.40 },
+  "gpt-4.1-mini":     { input: 0.40, output: 1.60 },
+  "gpt-4.1":          { input: 2.00, output: 8.00 },
+  "gpt-3.5-turbo":    { input: 0.50, output: 1.50 },
+  "claude-3-5-haiku": { input: 0.80, output: 4.00 },
+  "claude-3-haiku":   { input: 0.25, output: 1.25 },
+  "claude-3-5-sonnet": { input: 3.00, output: 15.00 }
+};
+
+/** The price entry for a model (longest matching prefix), or null if unknown */
+function priceFor(model, overrides = {}) {
+  const table = { ...PRICES, ...overrides };
+  const key = Object.keys(table)
+    .filter(k => model === k || model.startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+/**
+ * Cost of one completion in USD.
+ * @param {{input: number, output: number}} usage - Token counts
+ * @returns {number|null} null when the model has no known price
+ */
+function costOf(model, usage, overrides) {
+  const price = priceFor(model, overrides);
+  if (!price) return null;
+  return (usage.input * (Number(price.input) || 0) + usage.output * (Number(price.output) || 0)) / 1e6;
+}
+
+/** "openai (gpt-4o-mini) -> ollama (llama3.1)" */
+function describeProviders(providers) {
+  return providers.map(p => `${p.name} (${p.model})`).join(" \u2192 ");
+}
+
+module.exports = { buildProviders, describeProviders, priceFor, costOf, PRICES, DEFAULT_TIMEOUT };
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * replay.js — Replay the challenge corpus against a solver and report accuracy
+ *
+ * Every challenge solved by verifyPost() is appended to data/challenges.jsonl
+ * together with the submitted answer and the /api/v1/verify outcome. This
+ * script re-solves those challenges and compares:
+ *   - "correct" entries: the recorded answer is the truth
+ *   - "incorrect" entries: only the recorded (wrong) answer is known, so a
+ *     replayed answer is scored as "still wrong" or "changed" (unverified)
+ *
+ * Options:
+ *   --solver local|gpt|auto|vote  Solver to replay (default: local); gpt = LLM providers only,
+ *                             vote = majority of --votes LLM samples (default: solver_votes or 3)
+ *   --provider NAME           Only this provider from solver_providers (gpt, vote)
+ *   --model NAME              Model override for the first provider (gpt)
+ *   --prompt FILE             System prompt variant for the LLM (gpt, vote)
+ *   --votes N                 Samples per challenge (vote)
+ *   --file PATH               Corpus file (default: data/challenges.jsonl)
+ *   --limit N                 Only replay the last N entries
+ *   --top N                   Number of worst offenders to list (default: 10)
+ *
+ * Usage: node replay.js --solver gpt --model gpt-4o
+ */
+
+const fs = require("fs");
+
+const {
+  CORPUS_FILE,
+  SEP2, log, logSep, logResult, isPlain,
+  CONFIG, parseArgs, readCorpus, solveLocally, solveChallengeWithLLM, solveChallengeByVote, solveChallenge, llmSummary
+} = require("./shared");
+
+const DEFAULTS = { solver: "local", provider: null, model: null, prompt: null, votes: 0, file: CORPUS_FILE, limit: 0, top: 10 };
+
+/** Build the solver function for the requested mode */
+function makeSolver(args) {
+  const gptOpts = { bot: "replay" }; // token usage is booked to "replay"
+  if (args.provider) gptOpts.provider = String(args.provider);
+  if (args.model)  gptOpts.model = args.model;
+  if (args.prompt) gptOpts.systemPrompt = fs.readFileSync(args.prompt, "utf8");
+
+  switch (args.solver) {
+    case "local": return async (challenge) => solveLocally(challenge).answer;
+    case "gpt":   return async (challenge) => (await solveChallengeWithLLM(challenge, null, gptOpts)).answer;
+    case "auto":  return async (challenge) => (await solveChallenge(challenge, null, { cache: false, bot: gptOpts.bot })).answer;
+    case "vote":  return async (challenge) => (await solveChallengeByVote(challenge, null, { ...gptOpts, samples: args.votes })).answer;
+    default:      throw new Error(`Unknown solver "${args.solver}" (expected local, gpt, auto or vote)`);
+  }
+}
+
+/** Score one replayed answer against the recorded outcome */
+function score(entry, answer) {
+  if (entry.outcome === "correct") return answer === entry.answer ? "correct" : "wrong";
+  if (entry.outcome === "incorrect") return answer === entry.answer ? "still_wrong" : "changed";
+  return "unlabelled";
+}
+
+async function main() {
+  const args = { ...DEFAULTS, ...parseArgs(process.argv.slice(2)) };
+  args.limit = parseInt(args.limit, 10) || 0;
+  args.top   = parseInt(args.top, 10) || DEFAULTS.top;
+  args.votes = parseInt(args.votes, 10) || parseInt(CONFIG.solver_votes, 10) || 3;
+  let corpus = readCorpus(args.file).filter(e => e.challenge);
+  if (args.limit > 0) corpus = corpus.slice(-args.limit);
+
+  const solverLabel = args.solver === "local"
+    ? "local"
+    : `${args.solver} (${args.provider || args.model ? [args.provider, args.model].filter(Boolean).join(", ") : llmSummary()}${args.prompt ? `, prompt: ${args.prompt}` : ""}${args.solver === "vote" ? `, ${args.votes} votes` : ""})`;
+
+  logSep();
+  log("REPLAY", "MOLT — Challenge Corpus Replay");
+  log("REPLAY", `Corpus: ${args.file} (${corpus.length} entries)`);
+  log("REPLAY", `Solver: ${solverLabel}`);
+  logSep();
+
+  if (corpus.length === 0) {
+    logResult("REPLAY", false, "Corpus is empty — run mint.js/link.js first to record challenges");
+    process.exit(1);
+  }
+
+  const solve = makeSolver(args);
+  const results = [];
+
+  for (let i = 0; i < corpus.length; i++) {
+    const entry = corpus[i];
+    let answer = null;
+    let error = null;
+    try { answer = await solve(entry.challenge); } catch (e) { error = e.message; }
+    const verdict = error ? "error" : score(entry, answer);
+    results.push({ entry, answer, error, verdict });
+    if (args.solver !== "local" && !isPlain()) process.stdout.write(`\r  ${i + 1}/${corpus.length}   `);
+  }
+  if (args.solver !== "local" && !isPlain()) process.stdout.write("\n");
+
+  // Overall accuracy over entries whose true answer is known
+  const labelled = results.filter(r => r.entry.outcome === "correct");
+  const correct  = labelled.filter(r => r.verdict === "correct").length;
+  const failed   = results.filter(r => r.entry.outcome === "incorrect");
+  const pct = (n, d) => (d > 0 ? ((n / d) * 100).toFixed(1) + "%" : "n/a");
+
+  log("REPLAY", `Accuracy (verified answers): ${correct}/${labelled.length} (${pct(correct, labelled.length)})`);
+  log("REPLAY", `Previously failed: ${failed.length} | still same wrong answer: ${failed.filter(r => r.verdict === "still_wrong").length} | changed (unverified): ${failed.filter(r => r.verdict === "changed").length}`);
+  log("REPLAY", `Solver errors: ${results.filter(r => r.verdict === "error").length}`);
+
+  // Per-operation error rates
+  logSep(SEP2);
+  const byOp = {};
+  for (const r of labelled) {
+    const op = r.entry.op || "unknown";
+    byOp[op] = byOp[op] || { total: 0, wrong: 0 };
+    byOp[op].total++;
+    if (r.verdict !== "correct") byOp[op].wrong++;
+  }
+  for (const [op, s] of Object.entries(byOp).sort((a, b) => b[1].wrong / b[1].total - a[1].wrong / a[1].total)) {
+    log("REPLAY", `  ${op.padEnd(9)} ${String(s.wrong).padStart(4)}/${String(s.total).padEnd(4)} wrong (${pct(s.wrong, s.total)})`);
+  }
+
+  // Worst offenders: wrong answers on verified entries, biggest numeric miss first
+  const offenders = labelled
+    .filter(r => r.verdict !== "correct")
+    .map(r => ({ ...r, miss: r.answer === null ? Infinity : Math.abs(parseFloat(r.answer) - parseFloat(r.entry.answer)) }))
+    .sort((a, b) => b.miss - a.miss)
+    .slice(0, args.top);
+
+  if (offenders.length > 0) {
+    logSep(SEP2);
+    log("REPLAY", `Worst offenders (top ${offenders.length}):`);
+    for (const o of offenders) {
+      log("REPLAY", `  expected ${o.entry.answer}, got ${o.answer ?? o.error ?? "no answer"} [${o.entry.op || "?"}]`);
+      log("REPLAY", `    ${o.entry.cleaned || o.entry.challenge}`);
+    }
+  }
+
+  logSep();
+}
+
+main().catch(e => { log("FATAL", e?.message || e); process.exit(1); });
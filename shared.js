@@ -5,12 +5,15 @@
  * Provides:
  *   - Configuration loading (data/config.json)
  *   - File readers (accounts, proxies, twitter tokens, emails)
+ *   - Challenge corpus recording (data/challenges.jsonl)
  *   - HTTP client with proxy support
- *   - Moltbook API helpers (status check, post creation, verification)
- *   - Challenge solver via OpenAI (ChatGPT)
- *   - Logging utilities
+ *   - Moltbook API helpers (status check, posts, inscriptions via inscription.js, verification)
+ *   - mbc20.xyz indexer helpers (index a post, token info, balances)
+ *   - Challenge solving: local solver (solver.js) with OpenAI (ChatGPT) fallback
+ *   - Logging setup (logger.js: levels, plain console mode, data/logs/molt.jsonl)
+ *   - Bot selection for the --bots flag (argument parsing lives in args.js)
  *
- * Used by: mint.js, link.js, reg.js, transfer.js
+ * Used by: mint.js, link.js, transfer.js, indexmint.js, status.js, replay.js, molt.js, mockserver.js
  */
 
 const fs = require("fs");
@@ -18,32 +21,68 @@ const path = require("path");
 const https = require("https");
 const http = require("http");
 const { HttpsProxyAgent } = require("https-proxy-agent");
+const { parseArgs } = require("./args");
+const {
+  SEP, SEP2, configureLogger, isPlain, ts,
+  log, logDebug, logWarn, logError, logResult, logBlock, logSep
+} = require("./logger");
+const { deobfuscate, cleanForGPT, challengeKey, parseAnswer, detectOperation, solveLocally } = require("./solver");
+const {
+  deployInscription, mintInscription, transferInscription, linkInscription,
+  validateInscription, assertInscription, serializeInscription, parseInscription,
+  toUnits, fromUnits
+} = require("./inscription");
+const { buildProviders, describeProviders, costOf } = require("./providers");
+const metrics = require("./metrics");
 
 // ─── Paths ───────────────────────────────────────────────────────────────────
 
-const DATA_DIR      = path.resolve(__dirname, "data");
+const DATA_DIR      = process.env.MOLT_DATA_DIR
+  ? path.resolve(process.env.MOLT_DATA_DIR)
+  : path.resolve(__dirname, "data");
 const ACCS_FILE     = path.resolve(DATA_DIR, "accs.txt");
 const PROXY_FILE    = path.resolve(DATA_DIR, "proxy.txt");
 const STATUS_FILE   = path.resolve(DATA_DIR, "status.json");
 const TWITTER_FILE  = path.resolve(DATA_DIR, "twitter.txt");
 const EMAIL_FILE    = path.resolve(DATA_DIR, "email.txt");
 const DEAD_TWITTER_FILE = path.resolve(DATA_DIR, "dead_twitter.txt");
-const CONFIG_FILE   = path.resolve(DATA_DIR, "config.json");
+const CONFIG_FILE   = process.env.MOLT_CONFIG
+  ? path.resolve(process.env.MOLT_CONFIG)
+  : path.resolve(DATA_DIR, "config.json");
+const CORPUS_FILE   = path.resolve(DATA_DIR, "challenges.jsonl");
+const SOLVER_CACHE_FILE = path.resolve(DATA_DIR, "solver_cache.json");
+const USAGE_FILE    = path.resolve(DATA_DIR, "llm_usage.jsonl");
+const LOG_DIR       = path.resolve(DATA_DIR, "logs");
 
 // ─── Config ──────────────────────────────────────────────────────────────────
 
+const CONFIG_DEFAULTS = {
+  wallet: "",
+  openai_api_key: "",
+  openai_model: "gpt-4o-mini",
+  mint_tick: "CLAW",
+  mint_amt: "100",
+  reg_threads: 1,
+  solver: "auto",
+  solver_min_confidence: 0.8,
+  solver_votes: 0,
+  solver_cache: true,
+  solver_daily_budget: 0,
+  record_challenges: true,
+  log_level: "info",
+  log_max_bytes: 5 * 1024 * 1024,
+  log_max_files: 5,
+  metrics_port: 0,
+  control_port: 0,
+  mint_concurrency: 1,
+  shutdown_timeout: 120
+};
+
 function loadConfig() {
-  const defaults = {
-    wallet: "",
-    openai_api_key: "",
-    openai_model: "gpt-4o-mini",
-    mint_tick: "CLAW",
-    mint_amt: "100",
-    reg_threads: 1
-  };
+  const defaults = { ...CONFIG_DEFAULTS }; // a copy: reloadConfig() rewrites CONFIG in place
 
   if (!fs.existsSync(CONFIG_FILE)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(defaults, null, 2), "utf8");
     return defaults;
   }
@@ -58,52 +97,86 @@ function loadConfig() {
 
 const CONFIG = loadConfig();
 
-const WALLET        = CONFIG.wallet || process.env.WALLET || "";
-const OPENAI_API_KEY = CONFIG.openai_api_key || process.env.OPENAI_API_KEY || "";
-const OPENAI_MODEL  = CONFIG.openai_model || process.env.OPENAI_MODEL || "gpt-4o-mini";
-
-if (!WALLET)        console.warn("[WARN] wallet is empty in data/config.json");
-if (!OPENAI_API_KEY) console.warn("[WARN] openai_api_key is empty in data/config.json — challenge solving will fail");
+/** Re-read config.json for settings that may change while a script runs (falls back to CONFIG) */
+function readConfig() {
+  try {
+    return { ...CONFIG_DEFAULTS, ...JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8")) };
+  } catch {
+    return CONFIG;
+  }
+}
 
-// ─── Constants ───────────────────────────────────────────────────────────────
+// Settings derived from CONFIG; reloadConfig() recomputes them
+let WALLET, OPENAI_API_KEY, OPENAI_MODEL, SOLVER_MODE, SOLVER_MIN_CONFIDENCE, SOLVER_VOTES, SOLVER_VOTE_TEMPERATURES;
+let _providers = null; // solver providers, built by llmProviders() once the base URLs are known
+
+function applyConfig() {
+  WALLET         = CONFIG.wallet || process.env.WALLET || "";
+  OPENAI_API_KEY = CONFIG.openai_api_key || process.env.OPENAI_API_KEY || "";
+  OPENAI_MODEL   = CONFIG.openai_model || process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+  // "auto" = local solver first, GPT when unsure | "local" = never call GPT | "gpt" = always GPT
+  SOLVER_MODE    = ["auto", "local", "gpt"].includes(CONFIG.solver) ? CONFIG.solver : "auto";
+  const minConfidence = Number(CONFIG.solver_min_confidence ?? 0.8); // 0 is valid: always trust the local answer
+  SOLVER_MIN_CONFIDENCE = Number.isFinite(minConfidence) ? minConfidence : 0.8;
+
+  // solver_votes >= 2: ask the LLMs that many times and submit the majority answer
+  SOLVER_VOTES = Math.max(0, parseInt(CONFIG.solver_votes, 10) || 0);
+  const temps = [].concat(CONFIG.solver_vote_temperatures ?? []).map(Number).filter(t => Number.isFinite(t) && t >= 0);
+  SOLVER_VOTE_TEMPERATURES = temps.length > 0 ? temps : [0, 0.5, 1];
+
+  // log_plain: true/false forces plain console output on/off (default: plain when stdout isn't a TTY)
+  configureLogger({
+    level: process.env.MOLT_LOG_LEVEL || CONFIG.log_level,
+    plain: process.env.MOLT_LOG_PLAIN ? process.env.MOLT_LOG_PLAIN === "1" : CONFIG.log_plain,
+    dir: CONFIG.log_file === false ? null : LOG_DIR,
+    maxBytes: CONFIG.log_max_bytes,
+    maxFiles: CONFIG.log_max_files
+  });
+}
 
-const BASE_HOST = "www.moltbook.com";
-const MBC20_SUBMOLT = "mbc-20";
+applyConfig();
 
-const MINT_PAYLOAD = {
-  p: "mbc-20",
-  op: "mint",
-  tick: CONFIG.mint_tick || "CLAW",
-  amt: CONFIG.mint_amt || "100"
-};
+/**
+ * Re-read config.json into CONFIG and re-apply the solver, OpenAI and logging
+ * settings, and re-read data/proxy.txt. Base URLs are kept. Throws (and keeps
+ * the current settings) if the file can't be parsed. Used by the mint.js control plane.
+ */
+function reloadConfig() {
+  const fresh = { ...CONFIG_DEFAULTS, ...JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8")) };
+  for (const key of Object.keys(CONFIG)) delete CONFIG[key];
+  Object.assign(CONFIG, fresh);
+  applyConfig();
+  _proxyList = null;
+  _providers = null;
+  return CONFIG;
+}
 
-const LINK_PAYLOAD = {
-  p: "mbc-20",
-  op: "link",
-  wallet: WALLET
-};
+if (!WALLET && !Array.isArray(CONFIG.wallets)) console.warn("[WARN] wallet is empty in data/config.json");
 
-// ─── Logging ─────────────────────────────────────────────────────────────────
+// ─── Constants ───────────────────────────────────────────────────────────────
 
-const SEP  = "\u2550".repeat(70);
-const SEP2 = "\u2500".repeat(70);
+// Base URLs can be pointed at a local stand-in (see mockserver.js)
+const MOLTBOOK_URL = (CONFIG.moltbook_url || process.env.MOLTBOOK_URL || "https://www.moltbook.com").replace(/\/+$/, "");
+const MBC20_URL    = (CONFIG.mbc20_url || process.env.MBC20_URL || "https://mbc20.xyz").replace(/\/+$/, "");
+const OPENAI_URL   = (CONFIG.openai_url || process.env.OPENAI_URL || "https://api.openai.com").replace(/\/+$/, "");
 
-function ts() {
-  return new Date().toISOString().replace("T", " ").slice(0, 19);
-}
+const BASE_HOST = new URL(MOLTBOOK_URL).host;
+const MBC20_SUBMOLT = "mbc-20";
 
-function log(tag, msg) {
-  console.log(`[${ts()}] [${tag}] ${msg}`);
+for (const e of llmProviders().errors) console.warn(`[WARN] ${e}`);
+if (llmProviders().providers.length === 0 && SOLVER_MODE !== "local") {
+  console.warn("[WARN] no LLM solver provider has an API key (openai_api_key / solver_providers) — only the local solver will be used");
 }
 
-function logBlock(tag, title) {
-  console.log(`\n${SEP}`);
-  log(tag, title);
-  console.log(SEP2);
-}
+// ─── CLI helpers ─────────────────────────────────────────────────────────────
 
-function logResult(tag, success, msg) {
-  log(tag, `${success ? "\u2705" : "\u274C"} ${msg}`);
+/** Filter bots by a list of names (all bots when names is empty). Warns on unknown names. */
+function selectBots(bots, names) {
+  if (!names || names.length === 0) return bots;
+  const unknown = names.filter(n => !bots.some(b => b.name === n));
+  if (unknown.length > 0) log("WARN", `Unknown bot(s) ignored: ${unknown.join(", ")}`);
+  return bots.filter(b => names.includes(b.name));
 }
 
 // ─── File readers ────────────────────────────────────────────────────────────
@@ -174,28 +247,392 @@ function parseProxy(proxyStr) {
 }
 
 // ─── Status management ───────────────────────────────────────────────────────
+//
+// data/status.json holds { schema_version, bots: { [name]: record } }.
+// Writes are atomic (temp file + rename) and guarded by a lock file (waited for
+// asynchronously; writes within one process are queued), and saveStatus() merges only the fields this process changed since loadStatus(),
+// so mint.js, link.js and indexmint.js can run at the same time without
+// clobbering each other's updates.
+
+const STATUS_SCHEMA_VERSION = 7;
+const STATUS_LOCK_FILE      = STATUS_FILE + ".lock";
+const STATUS_LOCK_TIMEOUT   = 10000; // ms to wait for another process
+const STATUS_LOCK_STALE     = 30000; // lock older than this is considered abandoned
+
+/** Default per-bot record. Add new fields here AND as a migration below. */
+function defaultBotStatus() {
+  return {
+    claimed: false,
+    wallet_linked: false,
+    last_mint_attempt: null,
+    last_post_attempt: null,
+    last_post_result: null,
+    last_status_check: null,
+    next_mint_at: null,
+    post_ids: [],
+    deploys: [],
+    pending_verifications: [],
+    expired_verifications: [],
+    mint_counts: {},
+    last_index: null,
+    link: null
+  };
+}
 
-function loadStatus() {
-  if (!fs.existsSync(STATUS_FILE)) return {};
-  try { return JSON.parse(fs.readFileSync(STATUS_FILE, "utf8")); } catch { return {}; }
+/**
+ * Schema migrations. STATUS_MIGRATIONS[n] upgrades a document from version n to n + 1.
+ * Version 1 is the legacy flat { [name]: record } file written before versioning.
+ */
+const STATUS_MIGRATIONS = {
+  // v2: wrap the bot map in { schema_version, bots }
+  1: (doc) => ({
+    schema_version: 2,
+    bots: Object.fromEntries(Object.entries(doc).map(([name, rec]) => [name, { ...defaultBotStatus(), ...rec }]))
+  }),
+  // v3: deploy history per bot
+  2: (doc) => ({
+    schema_version: 3,
+    bots: Object.fromEntries(Object.entries(doc.bots).map(([name, rec]) => [name, { deploys: [], ...rec }]))
+  }),
+  // v4: verifications that failed after posting, retried until they expire
+  3: (doc) => ({
+    schema_version: 4,
+    bots: Object.fromEntries(Object.entries(doc.bots).map(([name, rec]) => [
+      name, { pending_verifications: [], expired_verifications: [], ...rec }
+    ]))
+  }),
+  // v5: verified mints per tick (mint plans)
+  4: (doc) => ({
+    schema_version: 5,
+    bots: Object.fromEntries(Object.entries(doc.bots).map(([name, rec]) => [name, { mint_counts: {}, ...rec }]))
+  }),
+  // v6: outcome of the last mbc20.xyz indexing run
+  5: (doc) => ({
+    schema_version: 6,
+    bots: Object.fromEntries(Object.entries(doc.bots).map(([name, rec]) => [name, { last_index: null, ...rec }]))
+  }),
+  // v7: link state machine (posted -> verified -> confirmed); links made before count as
+  // verified with an unknown wallet (null), which link.js confirms on the indexer or relinks
+  6: (doc) => ({
+    schema_version: 7,
+    bots: Object.fromEntries(Object.entries(doc.bots).map(([name, rec]) => [name, {
+      ...rec,
+      link: rec.link ?? (rec.wallet_linked ? { state: "verified", wallet: null, post_id: null, at: null } : null)
+    }]))
+  })
+};
+
+function migrateStatus(doc) {
+  let version = doc.schema_version || 1;
+  if (version > STATUS_SCHEMA_VERSION) {
+    throw new Error(`status.json schema v${version} is newer than supported v${STATUS_SCHEMA_VERSION} — update the scripts`);
+  }
+  while (version < STATUS_SCHEMA_VERSION) {
+    doc = STATUS_MIGRATIONS[version](doc);
+    version = doc.schema_version;
+  }
+  return doc;
+}
+
+let _statusQueue = Promise.resolve(); // status writes of this process, one at a time
+
+/**
+ * Run fn (synchronous) while holding the cross-process status lock.
+ * Calls from this process are queued, so only other processes are waited for.
+ * @returns {Promise<*>} fn's result
+ */
+function withStatusLock(fn) {
+  const result = _statusQueue.then(() => lockAndRun(fn));
+  _statusQueue = result.catch(() => {});
+  return result;
 }
 
-function saveStatus(status) {
+async function lockAndRun(fn) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(STATUS_FILE, JSON.stringify(status, null, 2), "utf8");
+  const started = Date.now();
+  for (;;) {
+    try {
+      fs.writeFileSync(STATUS_LOCK_FILE, `${process.pid}`, { flag: "wx" });
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      try {
+        if (Date.now() - fs.statSync(STATUS_LOCK_FILE).mtimeMs > STATUS_LOCK_STALE) {
+          fs.unlinkSync(STATUS_LOCK_FILE);
+          continue;
+        }
+      } catch {}
+      if (Date.now() - started > STATUS_LOCK_TIMEOUT) {
+        throw new Error(`Timed out waiting for ${path.basename(STATUS_LOCK_FILE)} — remove it if no other script is running`);
+      }
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    try { fs.unlinkSync(STATUS_LOCK_FILE); } catch {}
+  }
+}
+
+/** Read status.json and return the migrated bot map. A corrupt file is moved aside. */
+function readStatusFile() {
+  if (!fs.existsSync(STATUS_FILE)) return {};
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(STATUS_FILE, "utf8"));
+  } catch (e) {
+    const backup = `${STATUS_FILE}.corrupt-${Date.now()}`;
+    try { fs.renameSync(STATUS_FILE, backup); } catch {}
+    console.warn(`[WARN] status.json is unreadable (${e.message}), moved to ${path.basename(backup)}`);
+    return {};
+  }
+  return migrateStatus(doc || {}).bots;
+}
+
+function writeStatusFile(bots) {
+  const tmp = `${STATUS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ schema_version: STATUS_SCHEMA_VERSION, bots }, null, 2), "utf8");
+  fs.renameSync(tmp, STATUS_FILE);
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const jsonEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Three-way merge: apply the changes made in `mine` (relative to `base`) on top of `disk`.
+ * Objects merge per key, arrays merge as sets (added/removed items), anything else
+ * changed locally wins.
+ */
+function mergeValue(disk, base, mine) {
+  if (jsonEqual(mine, base)) return disk;
+  if (isPlainObject(mine) && isPlainObject(disk)) {
+    const out = { ...disk };
+    const b = isPlainObject(base) ? base : {};
+    for (const k of new Set([...Object.keys(b), ...Object.keys(mine)])) {
+      const v = mergeValue(disk[k], b[k], mine[k]);
+      if (v === undefined) delete out[k]; else out[k] = v;
+    }
+    return out;
+  }
+  if (Array.isArray(mine) && Array.isArray(disk)) {
+    const baseKeys = new Set((Array.isArray(base) ? base : []).map(x => JSON.stringify(x)));
+    const mineKeys = new Set(mine.map(x => JSON.stringify(x)));
+    const diskKeys = new Set(disk.map(x => JSON.stringify(x)));
+    return [
+      ...disk.filter(x => !baseKeys.has(JSON.stringify(x)) || mineKeys.has(JSON.stringify(x))),
+      ...mine.filter(x => !diskKeys.has(JSON.stringify(x)))
+    ];
+  }
+  return mine;
+}
+
+// Snapshot of each loaded status object, used as the merge base in saveStatus()
+const _statusSnapshots = new WeakMap();
+
+function loadStatus() {
+  const bots = readStatusFile();
+  _statusSnapshots.set(bots, JSON.parse(JSON.stringify(bots)));
+  return bots;
+}
+
+/**
+ * Save status, merging with whatever other processes wrote since loadStatus().
+ * The in-memory object is refreshed with the merged result.
+ * @returns {Promise<void>}
+ */
+async function saveStatus(status) {
+  const merged = await withStatusLock(() => {
+    const base = _statusSnapshots.get(status) || {}; // read under the lock: an earlier queued save may refresh it
+    const disk = readStatusFile();
+    const out = { ...disk };
+    for (const name of new Set([...Object.keys(base), ...Object.keys(status)])) {
+      // A bot this process created starts from the defaults, so untouched defaults don't overwrite disk
+      const v = mergeValue(disk[name], base[name] || defaultBotStatus(), status[name]);
+      if (v === undefined && status[name] === undefined) delete out[name];
+      else out[name] = v === undefined ? status[name] : v;
+    }
+    writeStatusFile(out);
+    return out;
+  });
+  for (const name of Object.keys(merged)) status[name] = merged[name];
+  _statusSnapshots.set(status, JSON.parse(JSON.stringify(merged)));
+}
+
+/**
+ * Atomically read-modify-write the status file under the lock.
+ * @param {(status: object) => void} fn - Mutates the fresh bot map
+ * @returns {Promise<object>} The saved bot map
+ */
+function updateStatus(fn) {
+  return withStatusLock(() => {
+    const bots = readStatusFile();
+    fn(bots);
+    writeStatusFile(bots);
+    return bots;
+  });
 }
 
 function initBotStatus(status, name) {
-  if (!status[name]) {
-    status[name] = {
-      claimed: false,
-      wallet_linked: false,
-      last_mint_attempt: null,
-      last_post_attempt: null,
-      last_post_result: null,
-      last_status_check: null
-    };
+  if (!status[name]) status[name] = defaultBotStatus();
+}
+
+// ─── Challenge corpus ────────────────────────────────────────────────────────
+
+/**
+ * Append one solved challenge and its /verify outcome to data/challenges.jsonl.
+ * Used by replay.js to measure solver accuracy. Never throws.
+ */
+function recordChallenge(entry) {
+  if (CONFIG.record_challenges === false) return;
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(CORPUS_FILE, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n", "utf8");
+  } catch (e) {
+    log("CORPUS", `\u26A0 Could not record challenge: ${e.message}`);
+  }
+}
+
+/** Read all entries from the challenge corpus (skips malformed lines) */
+function readCorpus(file = CORPUS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8")
+    .split("\n").map(l => l.trim()).filter(Boolean)
+    .map(l => { try { return JSON.parse(l); } catch { return null; } })
+    .filter(Boolean);
+}
+
+// ─── Solver cache ────────────────────────────────────────────────────────────
+
+const SOLVER_CACHE_MAX = 5000; // entries kept, most recently verified first
+
+// { mtimeMs, entries: { key -> { answer, op, verified_at } } }, re-read when another process writes
+let _solverCache = null;
+
+function readSolverCache() {
+  try {
+    const mtimeMs = fs.statSync(SOLVER_CACHE_FILE).mtimeMs;
+    if (_solverCache?.mtimeMs === mtimeMs) return _solverCache.entries;
+    const doc = JSON.parse(fs.readFileSync(SOLVER_CACHE_FILE, "utf8"));
+    _solverCache = { mtimeMs, entries: doc?.entries || {} };
+  } catch {
+    _solverCache = { mtimeMs: 0, entries: {} };
   }
+  return _solverCache.entries;
+}
+
+function writeSolverCache(entries) {
+  const kept = Object.entries(entries)
+    .sort((a, b) => String(b[1].verified_at).localeCompare(String(a[1].verified_at)))
+    .slice(0, SOLVER_CACHE_MAX);
+  const tmp = `${SOLVER_CACHE_FILE}.${process.pid}.tmp`;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify({ entries: Object.fromEntries(kept) }, null, 2), "utf8");
+  fs.renameSync(tmp, SOLVER_CACHE_FILE);
+  _solverCache = null;
+}
+
+/** The answer /api/v1/verify accepted for this challenge before (null if none or cache is off) */
+function cachedAnswer(challenge) {
+  if (CONFIG.solver_cache === false) return null;
+  return readSolverCache()[challengeKey(challenge)]?.answer || null;
+}
+
+/**
+ * Remember (correct = true) or forget (correct = false, only if it is the
+ * cached answer) a verified answer. Never throws.
+ */
+function updateSolverCache(challenge, answer, correct) {
+  if (CONFIG.solver_cache === false) return;
+  try {
+    const key = challengeKey(challenge);
+    const entries = { ...readSolverCache() };
+    if (correct) {
+      entries[key] = { answer, op: detectOperation(challenge).op, verified_at: new Date().toISOString() };
+    } else if (entries[key]?.answer === answer) {
+      delete entries[key];
+    } else {
+      return;
+    }
+    writeSolverCache(entries);
+  } catch (e) {
+    log("CACHE", `\u26A0 Could not update solver cache: ${e.message}`);
+  }
+}
+
+// ─── LLM usage ───────────────────────────────────────────────────────────────
+
+// Today's spend, summed from data/llm_usage.jsonl and kept current by reading only
+// what was appended since (by any process)
+let _usageToday = { day: null, offset: 0, cost: 0 };
+
+const utcDay = (d = new Date()) => d.toISOString().slice(0, 10);
+
+/**
+ * Append one completion's token usage (and its cost, when the model has a
+ * price) to data/llm_usage.jsonl. Never throws.
+ * @param {object} entry - { bot, provider, model, input_tokens, output_tokens, answered }
+ */
+function recordUsage(entry) {
+  const cost = costOf(entry.model, { input: entry.input_tokens, output: entry.output_tokens }, CONFIG.solver_prices);
+  const labels = { provider: entry.provider, model: entry.model };
+  metrics.inc("molt_solver_tokens_total", { ...labels, type: "input" }, entry.input_tokens);
+  metrics.inc("molt_solver_tokens_total", { ...labels, type: "output" }, entry.output_tokens);
+  if (cost) metrics.inc("molt_solver_cost_usd_total", labels, cost);
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(USAGE_FILE, JSON.stringify({ ts: new Date().toISOString(), ...entry, cost_usd: cost }) + "\n", "utf8");
+  } catch (e) {
+    log("USAGE", `\u26A0 Could not record LLM usage: ${e.message}`);
+  }
+}
+
+/** LLM spend so far today (UTC), in USD */
+function llmSpendToday() {
+  const day = utcDay();
+  if (_usageToday.day !== day) _usageToday = { day, offset: 0, cost: 0 };
+  try {
+    const size = fs.statSync(USAGE_FILE).size;
+    if (size < _usageToday.offset) _usageToday = { day, offset: 0, cost: 0 }; // file was replaced
+    if (size > _usageToday.offset) {
+      const fd = fs.openSync(USAGE_FILE, "r");
+      const buf = Buffer.alloc(size - _usageToday.offset);
+      try { fs.readSync(fd, buf, 0, buf.length, _usageToday.offset); } finally { fs.closeSync(fd); }
+      const text = buf.toString("utf8");
+      const complete = text.lastIndexOf("\n") + 1; // a line still being written is read next time
+      for (const line of text.slice(0, complete).split("\n")) {
+        try {
+          const e = JSON.parse(line);
+          if (String(e.ts).startsWith(day)) _usageToday.cost += Number(e.cost_usd) || 0;
+        } catch {}
+      }
+      _usageToday.offset += Buffer.byteLength(text.slice(0, complete));
+    }
+  } catch {}
+  return _usageToday.cost;
+}
+
+/**
+ * Daily spend ceiling (solver_daily_budget, USD; 0 = none).
+ * @returns {{spent: number, budget: number, reached: boolean}}
+ */
+function llmBudget() {
+  const budget = Math.max(0, Number(CONFIG.solver_daily_budget) || 0);
+  const spent = llmSpendToday();
+  return { spent, budget, reached: budget > 0 && spent >= budget };
+}
+
+/** "Daily LLM budget reached ($1.02 of $1.00) — LLM solving paused until 00:00 UTC" */
+function budgetMessage({ spent, budget }) {
+  const usd = (n) => `$${n.toFixed(n > 0 && n < 0.01 ? 4 : 2)}`;
+  return `Daily LLM budget reached (${usd(spent)} of ${usd(budget)}) \u2014 LLM solving paused until 00:00 UTC`;
+}
+
+/** The budget while it stops all solving (solver "gpt" has no local fallback), else null */
+function llmSolvingPaused() {
+  if (SOLVER_MODE !== "gpt") return null;
+  const budget = llmBudget();
+  return budget.reached ? budget : null;
 }
 
 // ─── HTTP client ─────────────────────────────────────────────────────────────
@@ -254,8 +691,11 @@ function httpRequest(opts) {
     options.agent = new HttpsProxyAgent(proxyUrl);
   }
 
+  metrics.inc("molt_http_requests_total", { host: parsed.hostname });
+
   return new Promise((resolve, reject) => {
     const req = mod.request(options, (res) => {
+      if (res.statusCode >= 400) metrics.inc("molt_http_errors_total", { host: parsed.hostname, code: String(res.statusCode) });
       const setCookies = res.headers["set-cookie"] || [];
       const location = res.headers["location"] || null;
 
@@ -282,7 +722,10 @@ function httpRequest(opts) {
         resolve({ statusCode: res.statusCode, headers: res.headers, body: data, json, cookies: setCookies, location });
       });
     });
-    req.on("error", reject);
+    req.on("error", (err) => {
+      metrics.inc("molt_http_errors_total", { host: parsed.hostname, code: "network" });
+      reject(err);
+    });
     req.setTimeout(timeout, () => {
       req.destroy(new Error(`Request timed out (${timeout / 1000}s): ${method} ${url.slice(0, 80)}`));
     });
@@ -321,6 +764,7 @@ async function withRetry(fn, { retries = 2, delay = 2000, tag } = {}) {
       return await fn(attempt);
     } catch (err) {
       if (attempt < retries) {
+        metrics.inc("molt_http_retries_total");
         if (tag) log(tag, `\u26A0 Network error (${err.message}), retry ${attempt + 1}/${retries} with new proxy...`);
         await new Promise(r => setTimeout(r, delay * (attempt + 1)));
       } else {
@@ -330,6 +774,26 @@ async function withRetry(fn, { retries = 2, delay = 2000, tag } = {}) {
   }
 }
 
+// ─── Concurrency ─────────────────────────────────────────────────────────────
+
+/**
+ * Call fn(item, index) for every item with at most `limit` calls in flight.
+ * @returns {Promise<Array>} Results in input order (fn should catch its own errors)
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Math.min(items.length, Math.max(1, Math.floor(limit) || 1));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
 /** Pick a proxy from the list, rotating by offset on retry */
 let _proxyList = null;
 function getProxy(baseIndex, offset = 0) {
@@ -345,7 +809,7 @@ function getProxy(baseIndex, offset = 0) {
 async function checkClaimStatus(bot, proxyIdx, tag) {
   try {
     const resp = await withRetry((attempt) => httpRequest({
-      url: `https://${BASE_HOST}/api/v1/agents/status`,
+      url: `${MOLTBOOK_URL}/api/v1/agents/status`,
       method: "GET",
       headers: { "x-api-key": bot.apiKey },
       proxyUrl: getProxy(proxyIdx, attempt)
@@ -356,89 +820,316 @@ async function checkClaimStatus(bot, proxyIdx, tag) {
   }
 }
 
-/** Create a post on Moltbook */
-async function createPost(apiKey, submolt, title, content, proxyIdx, tag) {
-  return withRetry((attempt) => httpRequest({
-    url: `https://${BASE_HOST}/api/v1/posts`,
-    method: "POST",
+/** The random "#id" that ends an inscription title, used to recognize the post later */
+function titleMarker(title) {
+  return /#[a-z0-9]+$/i.exec(String(title).trim())?.[0] || null;
+}
+
+/**
+ * The agent's own post whose title ends with marker, published or not (null if there
+ * is none). Unverified posts come with verified: false and their open verification.
+ */
+async function findPostByMarker(apiKey, agentName, marker, proxyIdx, tag) {
+  const posts = await getAgentPosts(apiKey, agentName, proxyIdx, tag, 20, { includeUnverified: true });
+  return posts.find(p => titleMarker(p.title) === marker) || null;
+}
+
+/**
+ * Create a post on Moltbook.
+ * With agentName and a title ending in a "#id" marker, a retry after a network
+ * error first looks for a post with that marker among the agent's recent posts:
+ * the failed attempt may have been accepted, and posting again would duplicate
+ * the inscription. A found post is returned instead of posting again, as
+ * { statusCode: 200, json: { success, post, reused: true } } when it is published,
+ * or with verification_required and its open verification (like a new post) when
+ * it isn't. An unverified post whose code is gone can never be published, so a
+ * new one is posted.
+ */
+async function createPost(apiKey, submolt, title, content, proxyIdx, tag, agentName) {
+  const marker = agentName ? titleMarker(title) : null;
+  return withRetry(async (attempt) => {
+    if (attempt > 0 && marker) {
+      // Throws if the posts can't be listed, so this attempt fails rather than posting blind
+      const existing = await findPostByMarker(apiKey, agentName, marker, proxyIdx, tag);
+      const post = existing && { id: existing.id, title: existing.title, url: existing.url || `/post/${existing.id}` };
+      if (existing && existing.verified !== false) {
+        if (tag) log(tag, `Post ${marker} from the failed attempt exists \u2014 reusing it instead of posting again`);
+        return { statusCode: 200, json: { success: true, reused: true, post } };
+      }
+      if (existing?.verification?.code) {
+        if (tag) log(tag, `Post ${marker} from the failed attempt exists unverified \u2014 solving its challenge instead of posting again`);
+        return { statusCode: 200, json: { success: true, reused: true, post, verification_required: true, verification: existing.verification } };
+      }
+      if (existing && tag) log(tag, `\u26A0 Post ${marker} from the failed attempt is unverified and its code is gone \u2014 posting again`);
+    }
+    return httpRequest({
+      url: `${MOLTBOOK_URL}/api/v1/posts`,
+      method: "POST",
+      headers: { "x-api-key": apiKey },
+      body: { submolt, title, content },
+      proxyUrl: getProxy(proxyIdx, attempt)
+    });
+  }, { retries: 2, tag });
+}
+
+/**
+ * Post an mbc-20 inscription (throws without posting if the payload is invalid).
+ * Pass agentName so retries can't post the same inscription twice (see createPost).
+ */
+async function postInscription(apiKey, title, inscription, proxyIdx, tag, agentName) {
+  const content = serializeInscription(inscription);
+  return createPost(apiKey, MBC20_SUBMOLT, title, content, proxyIdx, tag, agentName);
+}
+
+/** Fetch a single post by ID (null if not found) */
+async function getPost(apiKey, postId, proxyIdx, tag) {
+  const resp = await withRetry((attempt) => httpRequest({
+    url: `${MOLTBOOK_URL}/api/v1/posts/${encodeURIComponent(postId)}`,
+    method: "GET",
     headers: { "x-api-key": apiKey },
-    body: { submolt, title, content },
     proxyUrl: getProxy(proxyIdx, attempt)
   }), { retries: 2, tag });
+  return resp.json?.post || null;
 }
 
-/** Verify a post (solve challenge via ChatGPT, then submit answer) */
-async function verifyPost(apiKey, code, challenge, proxyIdx, tag, maxRetries = 2) {
-  if (!OPENAI_API_KEY) {
-    log(tag || "VERIFY", "Cannot solve challenge \u2014 OPENAI_API_KEY not set!");
-    return null;
-  }
+/**
+ * List an agent's recent published posts (newest first).
+ * With includeUnverified (the agent's own key only), unverified posts are listed too,
+ * each with verified: false and its open verification ({code, challenge, expires_at} or null).
+ */
+async function getAgentPosts(apiKey, agentName, proxyIdx, tag, limit = 100, { includeUnverified = false } = {}) {
+  const resp = await withRetry((attempt) => httpRequest({
+    url: `${MOLTBOOK_URL}/api/v1/posts?author=${encodeURIComponent(agentName)}&limit=${limit}${includeUnverified ? "&include_unverified=true" : ""}`,
+    method: "GET",
+    headers: { "x-api-key": apiKey },
+    proxyUrl: getProxy(proxyIdx, attempt)
+  }), { retries: 2, tag });
+  if (!Array.isArray(resp.json?.posts)) throw new Error(`Could not list posts: HTTP ${resp.statusCode}`);
+  return resp.json.posts;
+}
 
-  log(tag || "VERIFY", `Solving challenge via ChatGPT (${OPENAI_MODEL})...`);
+/**
+ * Verify a post (solve challenge locally or via an LLM, then submit answer).
+ * Pass opts.expiresAt (the verification's expires_at) so answer voting stays inside it.
+ */
+async function verifyPost(apiKey, code, challenge, proxyIdx, tag, { maxRetries = 2, expiresAt } = {}) {
+  log(tag || "VERIFY", `Solving challenge (solver: ${SOLVER_MODE})...`);
   log(tag || "VERIFY", `Challenge: ${challenge.slice(0, 80)}...`);
   log(tag || "VERIFY", `Decoded:   ${deobfuscate(challenge).slice(0, 80)}...`);
 
+  const entry = { tag: tag || "VERIFY", challenge, cleaned: cleanForGPT(challenge), op: detectOperation(challenge).op };
+
+  let solved;
   try {
-    const answer = await solveChallengeWithGPT(challenge, tag);
-    log(tag || "VERIFY", `ChatGPT answer: ${answer}`);
+    solved = await solveChallenge(challenge, tag || "VERIFY", { expiresAt });
+    log(tag || "VERIFY", `Answer (${solved.provider || solved.source}): ${solved.answer}`);
+  } catch (e) {
+    logResult(tag || "VERIFY", false, `Challenge error: ${e.message}`);
+    metrics.inc("molt_verifications_total", { result: "error" });
+    recordChallenge({ ...entry, answer: null, outcome: "solve_error", error: e.message });
+    return null;
+  }
 
+  Object.assign(entry, { answer: solved.answer, source: solved.source, provider: solved.provider, confidence: solved.confidence ?? null, votes: solved.votes });
+
+  try {
     const resp = await withRetry((attempt) => httpRequest({
-      url: `https://${BASE_HOST}/api/v1/verify`,
+      url: `${MOLTBOOK_URL}/api/v1/verify`,
       method: "POST",
       headers: { "x-api-key": apiKey },
-      body: { verification_code: code, answer },
+      body: { verification_code: code, answer: solved.answer },
       proxyUrl: getProxy(proxyIdx, attempt)
     }), { retries: maxRetries, tag: tag || "VERIFY" });
 
-    log(tag || "VERIFY", `Verify status: ${resp.statusCode}`);
+    const ctx = { bot: tag ? tag.split("/")[0] : undefined, op: "verify", status: resp.statusCode, answer: solved.answer, source: solved.source };
+    log(tag || "VERIFY", `Verify status: ${resp.statusCode}`, ctx);
+    metrics.inc("molt_verifications_total", { result: resp.json?.success ? "success" : "failure" });
     if (resp.json?.success) {
-      logResult(tag || "VERIFY", true, "Verification successful!");
+      logResult(tag || "VERIFY", true, "Verification successful!", ctx);
+      updateSolverCache(challenge, solved.answer, true);
     } else {
-      logResult(tag || "VERIFY", false, `Verification failed: ${JSON.stringify(resp.json)}`);
+      logResult(tag || "VERIFY", false, `Verification failed: ${JSON.stringify(resp.json)}`, ctx);
+      // Only a rejected answer says anything about it (not an expired code or a server error)
+      if (resp.statusCode < 500 && ![404, 410, 429].includes(resp.statusCode)) updateSolverCache(challenge, solved.answer, false);
     }
+    recordChallenge({
+      ...entry,
+      outcome: resp.json?.success ? "correct" : "incorrect",
+      status_code: resp.statusCode,
+      error: resp.json?.success ? undefined : (resp.json?.error || resp.body?.slice(0, 200))
+    });
     return resp;
   } catch (e) {
-    logResult(tag || "VERIFY", false, `Challenge error: ${e.message}`);
+    logResult(tag || "VERIFY", false, `Verify request error: ${e.message}`);
+    metrics.inc("molt_verifications_total", { result: "error" });
+    recordChallenge({ ...entry, outcome: "network_error", error: e.message });
     return null;
   }
 }
 
-// ─── Challenge solver (OpenAI) ───────────────────────────────────────────────
+// ─── Pending verifications ───────────────────────────────────────────────────
+
+const MAX_VERIFY_ATTEMPTS = 5;  // per pending verification, each one a full verifyPost() call
+const MAX_EXPIRED_KEPT    = 50; // expired_verifications history per bot
+
+/** Short reason for a failed verifyPost() result */
+function verifyError(resp) {
+  if (!resp) return "solver or network error";
+  return resp.json?.error || `HTTP ${resp.statusCode}`;
+}
 
-/** Light clean for log output: lowercase, collapse repeats, remove fillers */
-function deobfuscate(text) {
-  let clean = text.replace(/[^a-zA-Z0-9\s]/g, " ");
-  clean = clean.replace(/\s+/g, " ").toLowerCase().trim();
-  clean = clean.replace(/([a-z])\1+/g, "$1");
-  clean = clean.replace(/\b(um+|uh+)\b/g, "").replace(/\s+/g, " ").trim();
-  return clean;
+/**
+ * Remember a verification that failed right after posting, so it can be
+ * retried until expires_at instead of leaving the post unpublished.
+ * @param {object} [extra] - Extra fields kept with the entry (e.g. the minted tick)
+ */
+function addPendingVerification(status, name, op, postId, verification, error, extra = {}) {
+  initBotStatus(status, name);
+  status[name].pending_verifications.push({
+    ...extra,
+    op,
+    post_id: postId || null,
+    code: verification.code,
+    challenge: verification.challenge,
+    expires_at: verification.expires_at || null,
+    created_at: new Date().toISOString(),
+    attempts: 1,
+    last_error: error || null
+  });
 }
 
-/** Clean for GPT: strip junk chars but KEEP original case (helps GPT identify word boundaries) */
-function cleanForGPT(text) {
-  // Strip ALL non-letter/digit/space chars first (removes . , ! ? ' etc mixed into words)
-  let clean = text.replace(/[^a-zA-Z0-9\s]/g, " ");
-  clean = clean.replace(/\s+/g, " ").trim();
-  // Remove filler words (case-insensitive): "Um", "Uh"
-  clean = clean.replace(/\b[Uu][Mm]+\b/g, "").replace(/\b[Uu][Hh]+\b/g, "").replace(/\s+/g, " ").trim();
-  return clean;
+/**
+ * Retry a bot's pending verifications for one op (mint, link, ...).
+ * Expired, rejected (404/410) and exhausted ones move to expired_verifications,
+ * unless their post turns out to be verified already (a /verify whose response
+ * was lost, or a crash before the result was saved): those count as verified.
+ * @param {(entry: object) => void} [onExpire] - Called with each entry that gave up
+ * @returns {Promise<Array>} The entries that verified on this pass
+ */
+async function resumePendingVerifications(bot, status, op, proxyIdx, onExpire = () => {}) {
+  initBotStatus(status, bot.name);
+  const s = status[bot.name];
+  const verified = [];
+  const remaining = [];
+
+  const expire = (p, reason) => {
+    logResult(bot.name, false, `${p.op} verification for post ${p.post_id || "?"} gave up: ${reason}`);
+    const entry = { ...p, expired_at: new Date().toISOString(), reason };
+    s.expired_verifications = [...s.expired_verifications, entry].slice(-MAX_EXPIRED_KEPT);
+    onExpire(entry);
+  };
+
+  // Before giving up on a code, check whether its post was published anyway
+  const giveUp = async (p, reason) => {
+    if (p.post_id) {
+      let post;
+      try {
+        post = await getPost(bot.apiKey, p.post_id, proxyIdx, bot.name);
+      } catch (e) {
+        if (p.attempts < MAX_VERIFY_ATTEMPTS) {
+          log(bot.name, `\u26A0 Could not look up post ${p.post_id} (${e.message}) \u2014 keeping it pending`);
+          remaining.push({ ...p, last_error: reason });
+          return;
+        }
+      }
+      if (post?.verified) {
+        log(bot.name, `Post ${p.post_id} is already verified (${reason})`);
+        verified.push(p);
+        return;
+      }
+    }
+    expire(p, reason);
+  };
+
+  for (const p of s.pending_verifications) {
+    if (p.op !== op) { remaining.push(p); continue; }
+    if (p.expires_at && Date.now() >= new Date(p.expires_at).getTime()) { await giveUp({ ...p, attempts: p.attempts + 1 }, "expired"); continue; }
+
+    const entry = { ...p, attempts: p.attempts + 1 };
+    log(bot.name, `Retrying ${op} verification for post ${p.post_id || "?"} (attempt ${entry.attempts}/${MAX_VERIFY_ATTEMPTS})...`);
+    const resp = await verifyPost(bot.apiKey, p.code, p.challenge, proxyIdx, `${bot.name}/VERIFY`, { expiresAt: p.expires_at });
+
+    if (resp?.json?.success) verified.push(entry);
+    else if (resp && [404, 410].includes(resp.statusCode)) await giveUp(entry, verifyError(resp));
+    else if (entry.attempts >= MAX_VERIFY_ATTEMPTS) await giveUp(entry, `${verifyError(resp)} (after ${entry.attempts} attempts)`);
+    else remaining.push({ ...entry, last_error: verifyError(resp) });
+  }
+
+  s.pending_verifications = remaining;
+  return verified;
 }
 
-/** Extract and validate answer: must be a number with 2 decimal places */
-function parseAnswer(raw) {
-  const trimmed = raw.trim();
-  // Try exact match: number with 2 decimals
-  const exact = trimmed.match(/-?\d+\.\d{2}\b/);
-  if (exact) return exact[0];
-  // Try any decimal number → format to 2dp
-  const decimal = trimmed.match(/-?\d+\.\d+/);
-  if (decimal) return parseFloat(decimal[0]).toFixed(2);
-  // Try integer → format to 2dp
-  const integer = trimmed.match(/-?\d+/);
-  if (integer) return parseFloat(integer[0]).toFixed(2);
-  return null;
+// ─── mbc20.xyz API ───────────────────────────────────────────────────────────
+
+const MBC20_HEADERS = {
+  "accept": "*/*",
+  "accept-language": "en-US,en;q=0.9",
+  "origin": MBC20_URL,
+  "referer": `${MBC20_URL}/`,
+  "sec-fetch-dest": "empty",
+  "sec-fetch-mode": "cors",
+  "sec-fetch-site": "same-origin",
+  "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36"
+};
+
+/** Ask the indexer to pick up a single post. Returns true when indexed. */
+async function indexPost(postId, proxyIdx, tag) {
+  const resp = await withRetry((attempt) => httpRequest({
+    url: `${MBC20_URL}/api/index-post?id=${encodeURIComponent(postId)}`,
+    method: "GET",
+    headers: MBC20_HEADERS,
+    proxyUrl: getProxy(proxyIdx, attempt),
+    timeout: 30000
+  }), { retries: 2, tag });
+  return !!resp.json?.success;
 }
 
+/**
+ * Fetch token info (max, lim, minted, deployer) from the indexer.
+ * @returns {Promise<object|null>} token object, or null if the ticker is not deployed
+ */
+async function getTokenInfo(tick, proxyIdx, tag) {
+  const resp = await withRetry((attempt) => httpRequest({
+    url: `${MBC20_URL}/api/token?tick=${encodeURIComponent(tick)}`,
+    method: "GET",
+    headers: MBC20_HEADERS,
+    proxyUrl: getProxy(proxyIdx, attempt),
+    timeout: 30000
+  }), { retries: 2, tag });
+  if (resp.statusCode === 404 || resp.json?.success === false) return null;
+  if (!resp.json?.token) throw new Error(`Unexpected token response: HTTP ${resp.statusCode}`);
+  return resp.json.token;
+}
+
+/** Balances the indexer reports for an agent: { TICK: "amount" } */
+async function getIndexerBalances(agentName, proxyIdx, tag) {
+  const resp = await withRetry((attempt) => httpRequest({
+    url: `${MBC20_URL}/api/balance?agent=${encodeURIComponent(agentName)}`,
+    method: "GET",
+    headers: MBC20_HEADERS,
+    proxyUrl: getProxy(proxyIdx, attempt),
+    timeout: 30000
+  }), { retries: 2, tag });
+  if (!resp.json?.success) throw new Error(resp.json?.error || `HTTP ${resp.statusCode}`);
+  return resp.json.balances || {};
+}
+
+/** Wallet the indexer has linked to an agent (null if none) */
+async function getIndexerWallet(agentName, proxyIdx, tag) {
+  const resp = await withRetry((attempt) => httpRequest({
+    url: `${MBC20_URL}/api/wallet?agent=${encodeURIComponent(agentName)}`,
+    method: "GET",
+    headers: MBC20_HEADERS,
+    proxyUrl: getProxy(proxyIdx, attempt),
+    timeout: 30000
+  }), { retries: 2, tag });
+  if (resp.statusCode === 404) return null;
+  if (!resp.json?.success) throw new Error(resp.json?.error || `HTTP ${resp.statusCode}`);
+  return resp.json.wallet || null;
+}
+
+// ─── Challenge solver (prompt) ───────────────────────────────────────────────
+
 const GPT_SYSTEM_PROMPT = [
   "You solve math word problems hidden in obfuscated text about lobsters.",
   "",
@@ -464,69 +1155,302 @@ const GPT_SYSTEM_PROMPT = [
   "Your LAST line must be ONLY the number like: 47.00"
 ].join("\n");
 
-async function solveChallengeWithGPT(challenge, tag) {
-  if (!OPENAI_API_KEY) throw new Error("OPENAI_API_KEY not set! Set it in data/config.json.");
+// ─── Challenge solver (LLM providers) ────────────────────────────────────────
+
+/** The solver provider chain, built on first use (see providers.js) */
+function llmProviders() {
+  if (!_providers) {
+    _providers = buildProviders(CONFIG, {
+      openaiUrl: OPENAI_URL, openaiModel: OPENAI_MODEL, openaiApiKey: OPENAI_API_KEY,
+      anthropicApiKey: process.env.ANTHROPIC_API_KEY || ""
+    });
+  }
+  return _providers;
+}
+
+/** "openai (gpt-4o-mini) -> anthropic (...)", or "OFF" when no provider can be used */
+function llmSummary() {
+  const { providers } = llmProviders();
+  return providers.length > 0 ? describeProviders(providers) : "OFF";
+}
 
-  // Clean version with CASE preserved — helps GPT see word boundaries
+/**
+ * Ask one provider, retrying (up to `attempts` times) when the reply has no usable number.
+ * Each retry raises the temperature by 0.3. With a deadline (ms timestamp) no
+ * request waits past it.
+ */
+async function solveWithProvider(p, challenge, tag, { model, systemPrompt, temperature = 0, attempts = 3, deadline = null, bot = null }) {
+  // Clean version with CASE preserved — helps the model see word boundaries
   const cleaned = cleanForGPT(challenge);
+  const provider = model ? { ...p, model } : p;
 
-  // Try up to 3 times if answer format is invalid
-  for (let attempt = 0; attempt < 3; attempt++) {
-    const userMsg = attempt === 0
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const user = attempt === 0
       ? `Decode the obfuscated text, solve the math step by step, then write ONLY the final answer (2 decimal places) on the last line.\n\n${cleaned}`
       : `Previous answer was wrong. Try again: decode carefully, find ALL numbers, identify the correct operation, compute step by step. Last line = ONLY the number.\n\n${cleaned}`;
 
-    const resp = await httpRequest({
-      url: "https://api.openai.com/v1/chat/completions",
-      method: "POST",
-      headers: { "authorization": `Bearer ${OPENAI_API_KEY}` },
-      body: {
-        model: OPENAI_MODEL,
-        messages: [
-          { role: "system", content: GPT_SYSTEM_PROMPT },
-          { role: "user", content: userMsg }
-        ],
-        max_tokens: 300,
-        temperature: attempt * 0.3
-      }
-    });
+    const budget = llmBudget();
+    if (budget.reached) throw new Error(budgetMessage(budget));
+
+    let timeout = provider.timeout * 1000;
+    if (deadline) {
+      timeout = Math.min(timeout, deadline - Date.now());
+      if (timeout <= 0) throw new Error("out of time before the verification expires");
+    }
 
-    const raw = resp.json?.choices?.[0]?.message?.content;
-    if (!raw) throw new Error(`GPT returned no answer: ${JSON.stringify(resp.json || resp.body?.slice(0, 200))}`);
+    const req = provider.request(provider, { system: systemPrompt, user, maxTokens: 300, temperature: temperature + attempt * 0.3 });
+    const resp = await httpRequest({ ...req, method: "POST", timeout });
 
-    // Extract answer from the last line of GPT's reasoning
+    const raw = provider.reply(resp.json);
+    if (!raw) {
+      const detail = resp.json?.error?.message || resp.json?.error || resp.body?.slice(0, 200);
+      throw new Error(`no answer (HTTP ${resp.statusCode}): ${typeof detail === "string" ? detail : JSON.stringify(detail)}`);
+    }
+
+    // Extract answer from the last line of the model's reasoning
     const lines = raw.trim().split("\n").filter(l => l.trim());
     const lastLine = lines[lines.length - 1];
     const answer = parseAnswer(lastLine) || parseAnswer(raw);
 
+    const usage = provider.usage(resp.json);
+    if (usage) {
+      recordUsage({ bot: bot || "-", provider: p.name, model: provider.model, input_tokens: usage.input, output_tokens: usage.output, answered: !!answer });
+    }
+
     if (tag && lines.length > 1) {
       // Log the reasoning (first line only) for debugging
-      log(tag, `GPT reasoning: ${lines[0].slice(0, 80)}...`);
+      log(tag, `${p.name} reasoning: ${lines[0].slice(0, 80)}...`);
     }
 
     if (answer) return answer;
 
-    if (tag) log(tag, `\u26A0 GPT returned invalid format: "${lastLine?.trim()}", retrying...`);
+    if (tag) log(tag, `\u26A0 ${p.name} returned invalid format: "${lastLine?.trim()}", retrying...`);
   }
 
-  throw new Error("GPT could not produce a valid numeric answer after 3 attempts");
+  throw new Error(`no valid numeric answer after ${attempts} attempt(s)`);
+}
+
+/**
+ * Solve with the configured LLM providers, in order: when one errors or times
+ * out, the next one is asked.
+ * @param {object} [opts]
+ * @param {string} [opts.provider]      - Only use the provider with this name (used by replay.js)
+ * @param {string} [opts.model]         - Model override for the first provider tried
+ * @param {string} [opts.systemPrompt]  - Override GPT_SYSTEM_PROMPT (prompt variants)
+ * @param {string} [opts.bot]           - Bot the token usage is booked to (default: from tag)
+ * @returns {Promise<{answer: string, provider: string}>}
+ */
+async function solveChallengeWithLLM(challenge, tag, opts = {}) {
+  const { provider, model, systemPrompt = GPT_SYSTEM_PROMPT, bot = tag?.split("/")[0] } = opts;
+  const { providers: all, skipped } = llmProviders();
+  const providers = provider ? all.filter(p => p.name === provider) : all;
+
+  if (providers.length === 0) {
+    if (provider) throw new Error(`No usable solver provider named "${provider}"`);
+    throw new Error(skipped.length > 0
+      ? `No API key for solver provider(s) ${skipped.join(", ")} \u2014 set it in data/config.json`
+      : "No LLM solver provider configured in data/config.json");
+  }
+
+  const budget = llmBudget();
+  if (budget.reached) throw new Error(budgetMessage(budget));
+
+  const errors = [];
+  for (let i = 0; i < providers.length; i++) {
+    const p = providers[i];
+    try {
+      const answer = await solveWithProvider(p, challenge, tag, { model: i === 0 ? model : undefined, systemPrompt, bot });
+      return { answer, provider: p.name };
+    } catch (e) {
+      metrics.inc("molt_solver_provider_errors_total", { provider: p.name });
+      errors.push(`${p.name}: ${e.message}`);
+      if (tag) {
+        log(tag, `\u26A0 ${p.name} failed (${e.message})${i < providers.length - 1 ? ` \u2014 trying ${providers[i + 1].name}` : ""}`);
+      }
+    }
+  }
+  throw new Error(`All solver providers failed \u2014 ${errors.join("; ")}`);
+}
+
+// ─── Challenge solver (voting) ───────────────────────────────────────────────
+
+const VOTE_SUBMIT_RESERVE_MS = 10000; // time left before expires_at for submitting the answer
+
+/**
+ * Self-consistency voting: ask the LLM providers `samples` times in parallel
+ * (round-robin over providers, then over temperatures), count each numeric
+ * answer once per sample and pick the most common one. The local answer, when
+ * given, is one more vote. Ties go to the answer voted for first (first
+ * provider at the lowest temperature). A sample that errors abstains; a
+ * disagreement is logged as a warning.
+ * @param {object} [opts]
+ * @param {number} [opts.samples]      - Number of LLM samples (default: solver_votes)
+ * @param {string} [opts.local]        - Local solver answer to count as a vote
+ * @param {string} [opts.expiresAt]    - Verification expiry; samples still running
+ *                                       VOTE_SUBMIT_RESERVE_MS before it are ignored
+ * @param {string} [opts.provider]     - Only sample this provider (used by replay.js)
+ * @param {string} [opts.systemPrompt] - Override GPT_SYSTEM_PROMPT
+ * @param {string} [opts.bot]          - Bot the token usage is booked to (default: from tag)
+ * @returns {Promise<{answer: string, agreement: number, votes: Array<{answer: string, by: string}>}>}
+ */
+async function solveChallengeByVote(challenge, tag, opts = {}) {
+  const { samples = SOLVER_VOTES, local, expiresAt, provider, systemPrompt = GPT_SYSTEM_PROMPT, bot = tag?.split("/")[0] } = opts;
+  const { providers: all } = llmProviders();
+  const providers = provider ? all.filter(p => p.name === provider) : all;
+  if (providers.length === 0 && !local) throw new Error("No usable solver provider to vote with");
+
+  const budget = llmBudget();
+  if (budget.reached) throw new Error(budgetMessage(budget));
+
+  const deadline = expiresAt ? new Date(expiresAt).getTime() - VOTE_SUBMIT_RESERVE_MS : null;
+  const plan = providers.length === 0 ? [] : Array.from({ length: Math.max(1, samples) }, (_, i) => ({
+    p: providers[i % providers.length],
+    temperature: SOLVER_VOTE_TEMPERATURES[Math.floor(i / providers.length) % SOLVER_VOTE_TEMPERATURES.length]
+  }));
+  if (tag && plan.length > 0) log(tag, `Voting: ${plan.length} sample(s) from ${describeProviders(providers)}${local ? " + local" : ""}...`);
+
+  // Each sample fills its own slot, so the vote order doesn't depend on which reply came back first
+  const answers = new Array(plan.length).fill(null);
+  let finished = 0;
+  let closed = false;
+  const settled = Promise.allSettled(plan.map(async ({ p, temperature }, i) => {
+    try {
+      answers[i] = await solveWithProvider(p, challenge, null, { systemPrompt, temperature, attempts: 1, deadline, bot });
+    } catch (e) {
+      metrics.inc("molt_solver_provider_errors_total", { provider: p.name });
+      if (tag && !closed) log(tag, `\u26A0 ${p.name} (t=${temperature}) abstained: ${e.message}`);
+    } finally {
+      finished++;
+    }
+  }));
+
+  let timer;
+  const outOfTime = deadline ? new Promise(resolve => { timer = setTimeout(resolve, Math.max(0, deadline - Date.now())); }) : null;
+  await (outOfTime ? Promise.race([settled, outOfTime]) : settled);
+  clearTimeout(timer);
+  closed = true;
+  if (tag && finished < plan.length) log(tag, `\u26A0 ${plan.length - finished} sample(s) still running when the verification window closed \u2014 voting without them`);
+
+  const votes = plan.map(({ p, temperature }, i) => ({ answer: answers[i], by: `${p.name}@${temperature}` })).filter(v => v.answer);
+  if (local) votes.push({ answer: local, by: "local" });
+  if (votes.length === 0) throw new Error(`No sample answered${deadline && Date.now() >= deadline ? " before the verification expires" : ""}`);
+
+  const counts = new Map();
+  for (const v of votes) counts.set(v.answer, (counts.get(v.answer) || 0) + 1);
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]); // stable: ties keep first-vote order
+  const [answer, count] = ranked[0];
+  const agreement = Math.round((count / votes.length) * 100) / 100;
+
+  const tally = ranked.map(([a, n]) => `${a} \u00D7${n}`).join(", ");
+  if (ranked.length > 1) {
+    metrics.inc("molt_solver_vote_splits_total");
+    if (tag) log(tag, `\u26A0 Votes disagree: ${tally} \u2014 submitting ${answer} (${Math.round(agreement * 100)}% agreement)`, { votes: votes.length, agreement });
+  } else if (tag) {
+    log(tag, `Votes: ${tally} (unanimous)`);
+  }
+  return { answer, agreement, votes };
+}
+
+// ─── Challenge solver (dispatch) ─────────────────────────────────────────────
+
+/**
+ * Solve a challenge according to the configured solver mode.
+ * In "auto" mode the LLM providers are only asked when the local solver is below
+ * solver_min_confidence (or when no provider is usable, the local answer is used anyway).
+ * source "gpt" means an LLM provider answered; provider names which one.
+ * With solver_votes >= 2 the LLMs vote instead (source "vote", confidence = agreement),
+ * the unsure local answer counting as one vote.
+ * An answer verified before for the same challenge is reused first (source "cache").
+ * Once the daily LLM budget is reached, an unsure local answer is used as if no
+ * provider were configured; without one solving fails until 00:00 UTC.
+ * @param {object} [opts]
+ * @param {string} [opts.expiresAt] - Verification expiry, so voting stops in time
+ * @param {boolean} [opts.cache=true] - false skips the solver cache (replay.js)
+ * @param {string} [opts.bot]         - Bot the LLM token usage is booked to (default: from tag)
+ * @returns {Promise<{answer: string, source: "cache"|"local"|"gpt"|"vote", confidence?: number, provider?: string, votes?: Array}>}
+ */
+async function solveChallenge(challenge, tag, opts = {}) {
+  const started = Date.now();
+  const solved = await solveChallengeBy(challenge, tag, opts);
+  metrics.observe("molt_solver_duration_seconds", { source: solved.source }, (Date.now() - started) / 1000);
+  return solved;
+}
+
+/** solveChallenge() without the timing */
+async function solveChallengeBy(challenge, tag, { expiresAt, cache = true, bot } = {}) {
+  const cached = cache ? cachedAnswer(challenge) : null;
+  if (cached) {
+    metrics.inc("molt_solver_cache_hits_total");
+    if (tag) log(tag, `Cached answer: ${cached} (verified before)`);
+    return { answer: cached, source: "cache" };
+  }
+
+  const budget = SOLVER_MODE === "local" ? null : llmBudget();
+  let local = null;
+  if (SOLVER_MODE !== "gpt") {
+    local = solveLocally(challenge);
+    if (tag) log(tag, `Local solver: ${local.answer ?? "no answer"} (op: ${local.op}, numbers: [${local.numbers.join(", ")}], confidence: ${local.confidence})`);
+
+    const confident = local.answer && local.confidence >= SOLVER_MIN_CONFIDENCE;
+    const noLLM = llmProviders().providers.length === 0 || budget?.reached;
+    if (confident || SOLVER_MODE === "local" || (noLLM && local.answer)) {
+      if (!local.answer) throw new Error("Local solver could not read the challenge");
+      if (!confident && budget?.reached && tag) log(tag, `\u26A0 ${budgetMessage(budget)} \u2014 using the local answer`);
+      return { answer: local.answer, source: "local", confidence: local.confidence };
+    }
+    if (!budget?.reached && tag) log(tag, `Local solver unsure \u2014 asking ${llmSummary()}...`);
+  }
+  if (budget?.reached) throw new Error(budgetMessage(budget));
+
+  if (SOLVER_VOTES >= 2) {
+    const { answer, agreement, votes } = await solveChallengeByVote(challenge, tag, { local: local?.answer || undefined, expiresAt, bot });
+    return { answer, source: "vote", confidence: agreement, votes };
+  }
+
+  const { answer, provider } = await solveChallengeWithLLM(challenge, tag, { bot });
+  return { answer, source: "gpt", provider };
 }
 
 // ─── Exports ─────────────────────────────────────────────────────────────────
 
 module.exports = {
-  CONFIG, WALLET, MBC20_SUBMOLT, OPENAI_API_KEY, OPENAI_MODEL,
-  MINT_PAYLOAD, LINK_PAYLOAD,
-  BASE_HOST, DATA_DIR, ACCS_FILE, PROXY_FILE, STATUS_FILE,
-  TWITTER_FILE, EMAIL_FILE, DEAD_TWITTER_FILE,
+  CONFIG, readConfig, reloadConfig, MBC20_SUBMOLT,
+  BASE_HOST, MOLTBOOK_URL, MBC20_URL, OPENAI_URL, DATA_DIR, ACCS_FILE, PROXY_FILE, STATUS_FILE,
+  TWITTER_FILE, EMAIL_FILE, DEAD_TWITTER_FILE, CORPUS_FILE, SOLVER_CACHE_FILE, USAGE_FILE, LOG_DIR,
 
-  SEP, SEP2, ts, log, logBlock, logResult,
+  SEP, SEP2, ts, log, logDebug, logWarn, logError, logBlock, logResult, logSep, isPlain,
+  parseArgs, selectBots,
 
   readBots, parseProxy, readProxies, readTwitterTokens, readEmails,
-  loadStatus, saveStatus, initBotStatus,
+  loadStatus, saveStatus, updateStatus, initBotStatus, defaultBotStatus, STATUS_SCHEMA_VERSION,
+  recordChallenge, readCorpus,
 
-  httpRequest, mergeCookies, withRetry, getProxy,
+  httpRequest, mergeCookies, withRetry, mapLimit, getProxy,
 
-  checkClaimStatus, createPost, verifyPost,
-  deobfuscate, cleanForGPT, solveChallengeWithGPT
+  deployInscription, mintInscription, transferInscription, linkInscription,
+  validateInscription, assertInscription, serializeInscription, parseInscription,
+  toUnits, fromUnits,
+
+  checkClaimStatus, createPost, postInscription, titleMarker, getPost, getAgentPosts, verifyPost,
+  verifyError, addPendingVerification, resumePendingVerifications,
+  MBC20_HEADERS, indexPost, getTokenInfo, getIndexerBalances, getIndexerWallet,
+  cachedAnswer, updateSolverCache, recordUsage, llmSpendToday, llmBudget, budgetMessage, llmSolvingPaused,
+  deobfuscate, cleanForGPT, parseAnswer, solveLocally, solveChallengeWithLLM, solveChallengeByVote, solveChallenge, GPT_SYSTEM_PROMPT,
+  llmProviders, llmSummary
+};
+
+// Settings reloadConfig() recomputes are getters, so shared.WALLET etc. are always
+// current. Destructuring them copies the value at require time: read them off the
+// module where a reload should be seen.
+const LIVE_SETTINGS = {
+  WALLET: () => WALLET,
+  OPENAI_API_KEY: () => OPENAI_API_KEY,
+  OPENAI_MODEL: () => OPENAI_MODEL,
+  SOLVER_MODE: () => SOLVER_MODE,
+  SOLVER_MIN_CONFIDENCE: () => SOLVER_MIN_CONFIDENCE,
+  SOLVER_VOTES: () => SOLVER_VOTES,
+  SOLVER_VOTE_TEMPERATURES: () => SOLVER_VOTE_TEMPERATURES
 };
+for (const [name, get] of Object.entries(LIVE_SETTINGS)) {
+  Object.defineProperty(module.exports, name, { get, enumerable: true });
+}
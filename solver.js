@@ -0,0 +1,224 @@
+/**
+ * solver.js — Offline challenge solver
+ *
+ * Provides:
+ *   - Text cleaning for logs and GPT prompts (deobfuscate, cleanForGPT)
+ *   - Answer extraction (parseAnswer)
+ *   - Cache keys for near-identical challenges (challengeKey)
+ *   - Deterministic local solver for the lobster math challenges
+ *
+ * Has no dependencies on shared.js so it can be used by any script or tool.
+ */
+
+// ─── Text cleaning ───────────────────────────────────────────────────────────
+
+/** Light clean for log output: lowercase, collapse repeats, remove fillers */
+function deobfuscate(text) {
+  let clean = text.replace(/[^a-zA-Z0-9\s]/g, " ");
+  clean = clean.replace(/\s+/g, " ").toLowerCase().trim();
+  clean = clean.replace(/([a-z])\1+/g, "$1");
+  clean = clean.replace(/\b(um+|uh+)\b/g, "").replace(/\s+/g, " ").trim();
+  return clean;
+}
+
+/** Clean for GPT: strip junk chars but KEEP original case (helps GPT identify word boundaries) */
+function cleanForGPT(text) {
+  // Strip ALL non-letter/digit/space chars first (removes . , ! ? ' etc mixed into words)
+  let clean = text.replace(/[^a-zA-Z0-9\s]/g, " ");
+  clean = clean.replace(/\s+/g, " ").trim();
+  // Remove filler words (case-insensitive): "Um", "Uh"
+  clean = clean.replace(/\b[Uu][Mm]+\b/g, "").replace(/\b[Uu][Hh]+\b/g, "").replace(/\s+/g, " ").trim();
+  return clean;
+}
+
+/**
+ * Cache key for a challenge: cleanForGPT() text, lowercased, without spaces
+ * and doubled letters, so the same problem with other casing, junk characters,
+ * word splits or letter repeats gets the same key.
+ */
+function challengeKey(text) {
+  return cleanForGPT(text).toLowerCase().replace(/\s+/g, "").replace(/([a-z])\1+/g, "$1");
+}
+
+/** Extract and validate answer: must be a number with 2 decimal places */
+function parseAnswer(raw) {
+  const trimmed = raw.trim();
+  // Try exact match: number with 2 decimals
+  const exact = trimmed.match(/-?\d+\.\d{2}\b/);
+  if (exact) return exact[0];
+  // Try any decimal number → format to 2dp
+  const decimal = trimmed.match(/-?\d+\.\d+/);
+  if (decimal) return parseFloat(decimal[0]).toFixed(2);
+  // Try integer → format to 2dp
+  const integer = trimmed.match(/-?\d+/);
+  if (integer) return parseFloat(integer[0]).toFixed(2);
+  return null;
+}
+
+// ─── Number words ────────────────────────────────────────────────────────────
+
+const collapse = (s) => s.replace(/([a-z])\1+/g, "$1");
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90, hundred: 100
+};
+
+// Keyed by collapsed spelling, since the obfuscation doubles letters at random
+// ("thrEee" → "thre" matches "three" → "thre")
+const COLLAPSED_NUMBERS = Object.fromEntries(
+  Object.entries(NUMBER_WORDS).map(([w, n]) => [collapse(w), n])
+);
+
+/** Max number of fragments a single number word can be split into */
+const MAX_FRAGMENTS = 4;
+
+/**
+ * Turn cleaned text into a list of tokens where number words split into
+ * fragments ("tW eN tY") are rejoined and replaced by their value.
+ * @returns {Array<{word: string}|{value: number}>}
+ */
+function tokenize(text) {
+  const raw = cleanForGPT(text).toLowerCase().split(" ").filter(Boolean);
+  const tokens = [];
+
+  for (let i = 0; i < raw.length;) {
+    if (/^\d+(\.\d+)?$/.test(raw[i])) {
+      tokens.push({ value: parseFloat(raw[i]) });
+      i++;
+      continue;
+    }
+
+    // Greedy: longest run of fragments that spells a number word
+    let matched = false;
+    for (let k = Math.min(MAX_FRAGMENTS, raw.length - i); k >= 1; k--) {
+      const joined = collapse(raw.slice(i, i + k).join(""));
+      if (joined in COLLAPSED_NUMBERS) {
+        tokens.push({ value: COLLAPSED_NUMBERS[joined] });
+        i += k;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      tokens.push({ word: raw[i] });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Combine consecutive number tokens into numbers ("twenty" "seven" → 27,
+ * "one" "hundred" "five" → 105). Two unrelated numbers next to each other
+ * ("five" "three") stay separate.
+ */
+function extractNumbers(tokens) {
+  const numbers = [];
+  let current = null;
+
+  const flush = () => {
+    if (current !== null) numbers.push(current);
+    current = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.value === undefined) {
+      // "one hundred and five" — keep the run going across "and"
+      const next = tokens[i + 1];
+      if (t.word === "and" && current !== null && current >= 100 && current % 100 === 0 && next?.value !== undefined) continue;
+      flush();
+      continue;
+    }
+
+    const v = t.value;
+    if (current === null) { current = v; continue; }
+
+    if (v === 100 && current < 100) {
+      current *= 100;                     // one + hundred
+    } else if (v < 10 && current % 10 === 0 && current % 100 >= 20) {
+      current += v;                       // twenty + seven
+    } else if (v < 100 && current >= 100 && current % 100 === 0) {
+      current += v;                       // one hundred + five
+    } else {
+      flush();
+      current = v;
+    }
+  }
+  flush();
+  return numbers;
+}
+
+// ─── Operation detection ─────────────────────────────────────────────────────
+
+// Checked against the text with spaces and doubled letters removed, so split
+// and stuttered words ("tot al", "sLoWsS") still match. Keywords are collapsed too.
+const OP_KEYWORDS = {
+  multiply: ["times", "multipl", "product", "twice", "double", "triple"],
+  divide:   ["divide", "split", "equaly", "shared", "average", "half"],
+  subtract: ["slow", "lose", "lost", "minus", "less", "remain", "diference", "reduc",
+             "decreas", "fewer", "subtract", "drop", "takeaway"],
+  add:      ["total", "sum", "combine", "plus", "add", "gain", "increas", "together", "more", "altogether"]
+};
+
+/**
+ * Detect the arithmetic operation. Addition words ("total", "more") also show
+ * up in the other kinds of problem, so they only decide when nothing else matched.
+ * @returns {{op: string, ambiguous: boolean, matched: string[]}}
+ */
+function detectOperation(text) {
+  const stream = collapse(cleanForGPT(text).toLowerCase().replace(/[^a-z]/g, ""));
+  const matched = Object.keys(OP_KEYWORDS)
+    .filter(op => OP_KEYWORDS[op].some(k => stream.includes(collapse(k))));
+
+  const strong = matched.filter(op => op !== "add");
+  if (strong.length > 0) return { op: strong[0], ambiguous: strong.length > 1, matched };
+  if (matched.includes("add")) return { op: "add", ambiguous: false, matched };
+  return { op: "add", ambiguous: true, matched };
+}
+
+const OPERATIONS = {
+  add:      (a, b) => a + b,
+  subtract: (a, b) => a - b,
+  multiply: (a, b) => a * b,
+  divide:   (a, b) => (b === 0 ? null : a / b)
+};
+
+// ─── Local solver ────────────────────────────────────────────────────────────
+
+/**
+ * Solve a challenge without any network call.
+ *
+ * Confidence is a rough 0..1 score:
+ *   - 0.95 exactly two numbers and a clear operation
+ *   - lower when the operation is ambiguous or more than two numbers were found
+ *   - 0 when fewer than two numbers could be read (answer is null)
+ *
+ * @param {string} challenge - Raw obfuscated challenge text
+ * @returns {{answer: string|null, confidence: number, op: string, numbers: number[], decoded: string}}
+ */
+function solveLocally(challenge) {
+  const tokens  = tokenize(challenge);
+  const numbers = extractNumbers(tokens);
+  const { op, ambiguous } = detectOperation(challenge);
+  const decoded = tokens.map(t => (t.value !== undefined ? String(t.value) : t.word)).join(" ");
+
+  if (numbers.length < 2) return { answer: null, confidence: 0, op, numbers, decoded };
+
+  const result = OPERATIONS[op](numbers[0], numbers[1]);
+  if (result === null || !Number.isFinite(result)) return { answer: null, confidence: 0, op, numbers, decoded };
+
+  let confidence = 0.95;
+  if (ambiguous) confidence -= 0.35;
+  if (numbers.length > 2) confidence -= 0.4;
+
+  return { answer: result.toFixed(2), confidence: Math.max(0, +confidence.toFixed(2)), op, numbers, decoded };
+}
+
+module.exports = {
+  deobfuscate, cleanForGPT, challengeKey, parseAnswer,
+  tokenize, extractNumbers, detectOperation, solveLocally
+};
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * status.js — Show saved bot state from data/status.json
+ *
+ * Read-only: lists every bot from data/accs.txt with claim status, wallet link
+ * (state and wallet; "relink" when config now assigns another wallet),
+ * last post result, next mint time and number of saved post IDs. No API calls.
+ * Also lists verifications that are still pending and those that expired
+ * before they could be solved (their posts were never published).
+ *
+ * Usage: node status.js   (or: molt status [--bots a,b] [--json])
+ */
+
+const {
+  CONFIG, SEP2, log, logSep,
+  readBots, selectBots, loadStatus, initBotStatus
+} = require("./shared");
+const { buildWalletPlan, walletForBot, sameWallet } = require("./wallets");
+
+function shortWallet(w) {
+  return w ? `${w.slice(0, 6)}\u2026${w.slice(-4)}` : "-";
+}
+
+function fmtTime(iso) {
+  return iso ? new Date(iso).toISOString().replace("T", " ").slice(0, 19) : "-";
+}
+
+/** Build one summary row per bot */
+function collectStatus(opts = {}) {
+  const bots   = selectBots(readBots(), opts.bots);
+  const status = loadStatus();
+  const wallets = buildWalletPlan(CONFIG);
+
+  return bots.map(bot => {
+    initBotStatus(status, bot.name);
+    const s = status[bot.name];
+    const wallet = walletForBot(wallets, bot.name) || null;
+    const linkedWallet = s.link?.wallet || s.link?.indexer_wallet || null;
+    return {
+      bot: bot.name,
+      claimed: s.claimed,
+      wallet_linked: s.wallet_linked,
+      link_state: s.link?.state || null,
+      wallet,
+      linked_wallet: linkedWallet,
+      relink: s.wallet_linked && !!linkedWallet && !!wallet && !sameWallet(linkedWallet, wallet),
+      last_post_result: s.last_post_result,
+      last_mint_attempt: s.last_mint_attempt,
+      next_mint_at: s.next_mint_at,
+      post_ids: (s.post_ids || []).length,
+      mint_counts: s.mint_counts,
+      pending_verifications: s.pending_verifications,
+      expired_verifications: s.expired_verifications,
+      last_index: s.last_index
+    };
+  });
+}
+
+/**
+ * Print the status table.
+ * @param {object} [opts]
+ * @param {string[]} [opts.bots] - Only these bot names
+ * @returns {Promise<{ok: boolean, results: Array}>}
+ */
+async function run(opts = {}) {
+  const rows = collectStatus(opts);
+
+  logSep();
+  log("STATUS", `MOLT — Bot Status (${rows.length} bot(s))`);
+  logSep(SEP2);
+  for (const r of rows) {
+    log("STATUS", [
+      r.bot.padEnd(20),
+      (r.claimed ? "claimed" : "unclaimed").padEnd(10),
+      (r.link_state || (r.wallet_linked ? "linked" : "not linked")).padEnd(11),
+      (r.relink ? "relink" : shortWallet(r.linked_wallet)).padEnd(13),
+      `next: ${fmtTime(r.next_mint_at)}`.padEnd(26),
+      `posts: ${String(r.post_ids).padEnd(4)}`,
+      (r.last_post_result || "-").padEnd(16),
+      Object.entries(r.mint_counts).map(([tick, n]) => `${tick}:${n}`).join(" ")
+    ].join(" ").trimEnd());
+  }
+
+  const pending = rows.flatMap(r => r.pending_verifications.map(p => ({ bot: r.bot, ...p })));
+  const expired = rows.flatMap(r => r.expired_verifications.map(p => ({ bot: r.bot, ...p })));
+  if (pending.length > 0) {
+    logSep(SEP2);
+    log("STATUS", `Pending verifications (${pending.length}):`);
+    for (const p of pending) {
+      log("STATUS", `  ${p.bot.padEnd(20)} ${p.op.padEnd(9)} post ${p.post_id || "?"} expires ${fmtTime(p.expires_at)} (${p.attempts} attempt(s), ${p.last_error || "-"})`);
+    }
+  }
+  if (expired.length > 0) {
+    logSep(SEP2);
+    log("STATUS", `Expired verifications (${expired.length}) \u2014 these posts were never published:`);
+    for (const p of expired) {
+      log("STATUS", `  ${p.bot.padEnd(20)} ${p.op.padEnd(9)} post ${p.post_id || "?"} at ${fmtTime(p.expired_at)}: ${p.reason}`);
+    }
+  }
+  logSep();
+
+  return { ok: true, results: rows };
+}
+
+module.exports = { run, collectStatus };
+
+if (require.main === module) {
+  run().catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { setup, startMock, stopMock, readData, seedToken } = require("./helpers");
+const env = setup({ mock: true });
+
+const batch = require("../batch");
+
+function manifest(name, rows) {
+  const file = path.join(env.dir, name);
+  fs.writeFileSync(file, "from,to,tick,amt\n" + rows.map(r => r.join(",")).join("\n") + "\n");
+  return file;
+}
+
+let mock;
+test.before(async () => {
+  mock = await startMock(env.port, { unclaimed: ["BotB"] });
+  seedToken(mock, "CLAW");
+});
+test.after(() => stopMock(mock));
+
+test("a posted transfer starts the sender's cooldown", async () => {
+  const { ok } = await batch.run({ manifest: manifest("ok.csv", [["BotA", "BotB", "CLAW", "1"]]) });
+  assert.equal(ok, true);
+  const rec = readData(env.dir, "status.json").bots.BotA;
+  assert.equal(rec.last_post_result, "transfer_ok");
+  assert.ok(new Date(rec.next_mint_at) > Date.now());
+});
+
+test("a transfer that was never posted leaves the cooldown alone", async () => {
+  // The mock refuses posts from unclaimed agents
+  const { ok, results } = await batch.run({ manifest: manifest("fail.csv", [["BotB", "BotA", "CLAW", "1"]]) });
+  assert.equal(ok, false);
+  assert.equal(results[0].result, "transfer_fail");
+  const rec = readData(env.dir, "status.json").bots.BotB;
+  assert.equal(rec.last_post_result, "transfer_fail");
+  assert.equal(rec.next_mint_at, null);
+});
+
+test("a resumed row whose sender left accs.txt is marked invalid", async () => {
+  const file = manifest("gone.csv", [["BotB", "BotA", "CLAW", "1"]]);
+  assert.equal((await batch.run({ manifest: file })).results[0].result, "transfer_fail");
+
+  const accs = path.join(env.dir, "accs.txt");
+  const saved = fs.readFileSync(accs, "utf8");
+  fs.writeFileSync(accs, saved.split("\n").filter(l => !l.startsWith("BotB:")).join("\n"));
+  try {
+    const { ok, results } = await batch.run({ manifest: file });
+    assert.equal(ok, false);
+    assert.equal(results[0].result, "invalid");
+    assert.match(results[0].error, /unknown sender "BotB"/);
+  } finally {
+    fs.writeFileSync(accs, saved);
+  }
+});
+
+test("the preview sums amounts without float rounding", async () => {
+  const lines = [];
+  const print = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    await batch.run({ manifest: manifest("preview.csv", [["BotA", "x", "CLAW", "0.1"], ["BotA", "y", "CLAW", "0.2"]]), dryRun: true });
+  } finally {
+    console.log = print;
+  }
+  assert.ok(lines.includes("    BotA CLAW: 0.3"), lines.join("\n"));
+});
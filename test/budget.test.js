@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const { setup, writeConfig } = require("./helpers");
+const env = setup();
+const {
+  reloadConfig, recordUsage, llmSpendToday, llmBudget, llmSolvingPaused, solveChallenge, USAGE_FILE
+} = require("../shared");
+const { summarize } = require("../usage");
+
+const CHALLENGE = "A] lO b-StEr'S ~ClAw^ ExErTs/ twEnTy ThReE {nEwToNs} AnD tHe OtHeR cLaW eXeRtS fIfTeEn NeWtOnS, wHaT iS tHe ToTaL fOrCe";
+
+function useSettings(settings) {
+  writeConfig(env, settings);
+  reloadConfig();
+}
+
+test("usage is recorded with its cost and today's spend is summed", () => {
+  fs.appendFileSync(USAGE_FILE, JSON.stringify({ ts: "2020-01-01T00:00:00.000Z", bot: "BotA", model: "gpt-4o", cost_usd: 5 }) + "\n");
+  recordUsage({ bot: "BotA", provider: "openai", model: "gpt-4o-mini", input_tokens: 1e6, output_tokens: 1e6, answered: true });
+  recordUsage({ bot: "BotB", provider: "local", model: "llama3.1", input_tokens: 400, output_tokens: 20, answered: true });
+
+  const lines = fs.readFileSync(USAGE_FILE, "utf8").trim().split("\n").map(l => JSON.parse(l));
+  assert.equal(lines[1].cost_usd, 0.75);
+  assert.equal(lines[2].cost_usd, null);
+  assert.equal(llmSpendToday(), 0.75);
+
+  recordUsage({ bot: "BotA", provider: "openai", model: "gpt-4o-mini", input_tokens: 1e6, output_tokens: 0, answered: true });
+  assert.equal(llmSpendToday(), 0.9);
+});
+
+test("reaching solver_daily_budget pauses the LLMs", async () => {
+  useSettings({ solver_daily_budget: 0 });
+  assert.deepEqual(llmBudget(), { spent: 0.9, budget: 0, reached: false });
+
+  useSettings({ solver_daily_budget: 0.5, solver_min_confidence: 2 });
+  assert.equal(llmBudget().reached, true);
+  assert.equal(llmSolvingPaused(), null);
+  const solved = await solveChallenge(CHALLENGE, null, { cache: false });
+  assert.equal(solved.source, "local");
+  assert.equal(solved.answer, "38.00");
+
+  useSettings({ solver: "gpt" });
+  try {
+    assert.equal(llmSolvingPaused().budget, 0.5);
+    await assert.rejects(solveChallenge(CHALLENGE, null, { cache: false }), /Daily LLM budget reached \(\$0\.90 of \$0\.50\)/);
+  } finally {
+    useSettings({ solver: undefined, solver_daily_budget: undefined, solver_min_confidence: undefined });
+  }
+});
+
+test("the usage report divides each bot's spend by its verified LLM answers", () => {
+  const day = "2026-01-02";
+  const rows = summarize([
+    { ts: `${day}T01:00:00Z`, bot: "BotA", model: "gpt-4o-mini", input_tokens: 100, output_tokens: 10, cost_usd: 0.3 },
+    { ts: `${day}T02:00:00Z`, bot: "BotA", model: "claude-3-haiku", input_tokens: 100, output_tokens: 10, cost_usd: 0.1 },
+    { ts: `${day}T03:00:00Z`, bot: "BotA", model: "llama3.1", input_tokens: 100, output_tokens: 10, cost_usd: null }
+  ], [
+    { ts: `${day}T01:00:01Z`, tag: "BotA/mint", source: "gpt", outcome: "correct" },
+    { ts: `${day}T02:00:01Z`, tag: "BotA/mint", source: "vote", outcome: "correct" },
+    { ts: `${day}T03:00:01Z`, tag: "BotA/mint", source: "local", outcome: "correct" },
+    { ts: `${day}T04:00:01Z`, tag: "BotA/mint", source: "gpt", outcome: "wrong" }
+  ]);
+  assert.deepEqual(rows.map(r => [r.model, r.requests, r.unpriced, r.verified]), [
+    ["claude-3-haiku", 1, 0, 2], ["gpt-4o-mini", 1, 0, 2], ["llama3.1", 1, 1, 2]
+  ]);
+  for (const r of rows) assert.equal(r.cost_per_verified, 0.2);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, writeConfig } = require("./helpers");
+const env = setup();
+const { reloadConfig, cachedAnswer, updateSolverCache, solveChallenge } = require("../shared");
+
+const CHALLENGE = "A] lO b-StEr'S ~ClAw^ ExErTs/ twEnTy ThReE {nEwToNs} AnD tHe OtHeR cLaW eXeRtS fIfTeEn NeWtOnS, wHaT iS tHe ToTaL fOrCe";
+const SAME = "a LOOBSTER'S claw exerts twenty three newtons and the other claw exerts fifteen newtons, what is the total force";
+
+test("a verified answer is reused for the same challenge written differently", async () => {
+  assert.equal(cachedAnswer(CHALLENGE), null);
+  updateSolverCache(CHALLENGE, "38.00", true);
+  assert.equal(cachedAnswer(SAME), "38.00");
+
+  const solved = await solveChallenge(SAME, null);
+  assert.deepEqual(solved, { answer: "38.00", source: "cache" });
+  assert.equal((await solveChallenge(SAME, null, { cache: false })).source, "local");
+});
+
+test("a rejected answer is forgotten only if it is the cached one", () => {
+  updateSolverCache(CHALLENGE, "38.00", true);
+  updateSolverCache(CHALLENGE, "8.00", false);
+  assert.equal(cachedAnswer(CHALLENGE), "38.00");
+  updateSolverCache(CHALLENGE, "38.00", false);
+  assert.equal(cachedAnswer(CHALLENGE), null);
+});
+
+test("solver_cache: false neither reads nor writes the cache", () => {
+  updateSolverCache(CHALLENGE, "38.00", true);
+  writeConfig(env, { solver_cache: false });
+  reloadConfig();
+  try {
+    assert.equal(cachedAnswer(CHALLENGE), null);
+    updateSolverCache(SAME, "38.00", false);
+  } finally {
+    writeConfig(env, { solver_cache: undefined });
+    reloadConfig();
+  }
+  assert.equal(cachedAnswer(CHALLENGE), "38.00");
+});
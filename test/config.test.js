@@ -0,0 +1,18 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, writeConfig, WALLET_B } = require("./helpers");
+const env = setup({ config: { solver_min_confidence: 0 } });
+const shared = require("../shared");
+
+test("an explicit solver_min_confidence of 0 is kept", () => {
+  assert.equal(shared.SOLVER_MIN_CONFIDENCE, 0);
+});
+
+test("settings exported by shared.js follow reloadConfig()", () => {
+  writeConfig(env, { solver: "gpt", solver_min_confidence: 0.5, wallet: WALLET_B });
+  shared.reloadConfig();
+  assert.equal(shared.SOLVER_MODE, "gpt");
+  assert.equal(shared.SOLVER_MIN_CONFIDENCE, 0.5);
+  assert.equal(shared.WALLET, WALLET_B);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, freePort, stopMock } = require("./helpers");
+const port = freePort();
+setup({ config: { control_port: port, control_token: "s3cret" } });
+
+const { run, startControlServer } = require("../control");
+
+const calls = [];
+const handlers = {
+  state: () => ({ paused: false, paused_bots: [], force: [], skip: [], minted_out: [], bots: 2, proxies: 0 }),
+  pause: (bots) => { calls.push(["pause", bots]); return "Paused"; },
+  resume: () => "Resumed", force: () => "Forced", skip: () => "Skipped", reload: () => "Reloaded"
+};
+
+let server;
+test.before(async () => { server = await startControlServer(port, handlers, "s3cret"); });
+test.after(() => stopMock(server));
+
+const url = `http://127.0.0.1:${port}`;
+
+test("the server does not start without a token", async () => {
+  await assert.rejects(startControlServer(freePort(), handlers, ""), /control_token is not set/);
+});
+
+test("requests without the right token are refused", async () => {
+  assert.equal((await fetch(`${url}/state`)).status, 401);
+  const resp = await fetch(`${url}/pause`, {
+    method: "POST", headers: { authorization: "Bearer wrong", "content-type": "application/json" }, body: "{}"
+  });
+  assert.equal(resp.status, 401);
+  assert.deepEqual(calls, []);
+});
+
+test("POSTs that are not application/json are refused", async () => {
+  const resp = await fetch(`${url}/pause`, {
+    method: "POST", headers: { authorization: "Bearer s3cret", "content-type": "text/plain" }, body: '{"bots":["BotA"]}'
+  });
+  assert.equal(resp.status, 415);
+  assert.deepEqual(calls, []);
+});
+
+test("molt ctl sends the token and a JSON body", async () => {
+  const { ok, message } = await run({ action: "pause", bots: ["BotA"] });
+  assert.equal(ok, true);
+  assert.equal(message, "Paused");
+  assert.deepEqual(calls, [["pause", ["BotA"]]]);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { BOTS, setup, startMock, stopMock, readData, seedToken } = require("./helpers");
+const env = setup({ mock: true, config: { mint_tick: "CLAW", mint_amt: "100" } });
+
+const mint = require("../mint");
+const { updateStatus, serializeInscription, mintInscription } = require("../shared");
+
+let mock;
+test.before(async () => {
+  mock = await startMock(env.port);
+  seedToken(mock, "CLAW");
+});
+test.after(() => stopMock(mock));
+
+/** Let the mock accept the next n posts but drop the connection instead of replying */
+function loseReplies(n) {
+  mock.prependListener("request", (req, res) => {
+    if (req.method === "POST" && req.url === "/api/v1/posts" && n-- > 0) res.end = () => req.socket.destroy();
+  });
+}
+
+const postsOf = (name) => Object.values(mock.state.posts).filter(p => p.agent === name);
+
+test("a post accepted before the connection dropped is verified, not posted twice", async () => {
+  loseReplies(1);
+  const { ok, results } = await mint.run({ once: true, bots: ["BotA"] });
+  assert.equal(ok, true);
+  assert.deepEqual(results.map(r => r.result), ["mint_ok"]);
+
+  const posts = postsOf("BotA");
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].verified, true);
+  const rec = readData(env.dir, "status.json").bots.BotA;
+  assert.equal(rec.mint_counts.CLAW, 1);
+  assert.deepEqual(rec.post_ids, [posts[0].id]);
+});
+
+test("an unverified post whose code expired is replaced by a new post", async () => {
+  loseReplies(1);
+  // Expire the lost post's code as soon as it is issued
+  mock.prependListener("request", (req) => {
+    if (req.url !== "/api/v1/posts?author=BotB&limit=20&include_unverified=true") return;
+    for (const v of Object.values(mock.state.verifications)) v.expires_at = new Date(0).toISOString();
+  });
+  const { ok } = await mint.run({ once: true, bots: ["BotB"] });
+  assert.equal(ok, true);
+
+  const posts = postsOf("BotB");
+  assert.equal(posts.length, 2);
+  assert.deepEqual(posts.map(p => p.verified).sort(), [false, true]);
+  assert.equal(readData(env.dir, "status.json").bots.BotB.mint_counts.CLAW, 1);
+});
+
+test("a mint left pending by a crash before verifying is verified on the next run", async () => {
+  // What a crash right after saving the pending record leaves behind
+  const resp = await fetch(`http://127.0.0.1:${env.port}/api/v1/posts`, {
+    method: "POST",
+    headers: { "x-api-key": BOTS[0].apiKey, "content-type": "application/json" },
+    body: JSON.stringify({ submolt: "mbc-20", title: "Minting CLAW - #crash001", content: serializeInscription(mintInscription("CLAW", "100")) })
+  });
+  const { post, verification } = await resp.json();
+  await updateStatus(bots => {
+    bots.BotA.pending_verifications.push({
+      tick: "CLAW", op: "mint", post_id: post.id, code: verification.code, challenge: verification.challenge,
+      expires_at: verification.expires_at, created_at: new Date().toISOString(), attempts: 1, last_error: "interrupted before verification"
+    });
+  });
+
+  const { ok, results } = await mint.run({ once: true, bots: ["BotA"] }); // BotA is still cooling down
+  assert.equal(ok, true);
+  assert.deepEqual(results.map(r => [r.result, r.resumed]), [["mint_ok", true]]);
+  assert.equal(mock.state.posts[post.id].verified, true);
+  const rec = readData(env.dir, "status.json").bots.BotA;
+  assert.equal(rec.mint_counts.CLAW, 2);
+  assert.deepEqual(rec.pending_verifications, []);
+});
@@ -0,0 +1,128 @@
+/**
+ * helpers.js — Setup shared by the node:test suite
+ *
+ * Each test file runs in its own process. shared.js reads its data directory,
+ * config and base URLs once, when it is first required, so call setup()
+ * before requiring it (directly or through any script module):
+ *
+ *   const { setup, startMock } = require("./helpers");
+ *   const env = setup({ mock: true });          // fresh temp data dir + config
+ *   const mock = await startMock(env.port);     // mockserver.js on that port
+ *
+ * The environment is cleaned of settings that would otherwise leak in from
+ * the shell (API keys, base URLs, log options).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const BOTS = [
+  { name: "BotA", apiKey: "moltbook_sk_aaaa1111" },
+  { name: "BotB", apiKey: "moltbook_sk_bbbb2222" }
+];
+
+const WALLET_A = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+const WALLET_B = "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359";
+
+const LEAKY_ENV = [
+  "MOLT_CONFIG", "MOLTBOOK_URL", "MBC20_URL", "OPENAI_URL", "OPENAI_API_KEY", "OPENAI_MODEL",
+  "ANTHROPIC_API_KEY", "WALLET", "MOLT_LOG_LEVEL", "MOLT_LOG_PLAIN"
+];
+
+/** A TCP port nobody listens on right now (asked for synchronously so setup() can stay sync) */
+function freePort() {
+  const script = "const s=require('net').createServer().listen(0,'127.0.0.1',()=>{process.stdout.write(String(s.address().port));s.close();});";
+  return Number(execFileSync(process.execPath, ["-e", script], { encoding: "utf8" }));
+}
+
+/**
+ * Create a temp data dir with accs.txt and config.json and point MOLT_DATA_DIR at it.
+ * @param {object} [opts]
+ * @param {object} [opts.config]  - Merged over the test defaults
+ * @param {Array}  [opts.bots]    - Accounts for accs.txt (default: BotA, BotB)
+ * @param {boolean} [opts.mock]   - Reserve a port and point every base URL at it
+ * @returns {{dir: string, port: number|null, configFile: string}}
+ */
+function setup(opts = {}) {
+  const { config = {}, bots = BOTS, mock = false } = opts;
+  for (const key of LEAKY_ENV) delete process.env[key];
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "molt-test-"));
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+  const port = mock ? freePort() : null;
+  const base = port ? `http://127.0.0.1:${port}` : "http://127.0.0.1:9";
+
+  fs.writeFileSync(path.join(dir, "accs.txt"), bots.map(b => `${b.name}:${b.apiKey}`).join("\n") + "\n");
+  const configFile = path.join(dir, "config.json");
+  fs.writeFileSync(configFile, JSON.stringify({
+    wallet: WALLET_A,
+    openai_api_key: "sk-test",
+    log_file: false,
+    log_level: "error",
+    moltbook_url: base,
+    mbc20_url: base,
+    openai_url: base,
+    ...config
+  }, null, 2));
+
+  process.env.MOLT_DATA_DIR = dir;
+  process.env.MOLT_LOG_PLAIN = "1";
+  process.env.MOLT_LOG_LEVEL = config.log_level || "error";
+  return { dir, port, configFile };
+}
+
+/**
+ * Start mockserver.js on a port reserved by setup().
+ * @param {number} port
+ * @param {object} [opts] - createMockServer() options (default cooldown 0)
+ * @returns {Promise<import("http").Server>} server.state holds the mock's data
+ */
+async function startMock(port, opts = {}) {
+  const { createMockServer } = require("../mockserver");
+  const server = createMockServer({ cooldownSec: 0, ...opts });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  return server;
+}
+
+/** Close a server started by startMock() or any other test server (drops keep-alive sockets) */
+function stopMock(server) {
+  return new Promise(resolve => {
+    server.closeAllConnections?.();
+    server.close(() => resolve());
+  });
+}
+
+/** Merge settings into the test config.json (call reloadConfig() to apply them) */
+function writeConfig(env, patch) {
+  const config = JSON.parse(fs.readFileSync(env.configFile, "utf8"));
+  fs.writeFileSync(env.configFile, JSON.stringify({ ...config, ...patch }, null, 2));
+}
+
+/** Read a JSON file from the data dir */
+function readData(dir, file) {
+  return JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+}
+
+/** Deploy a tick straight into the mock's indexer state */
+function seedToken(server, tick, max = "1000000", lim = "100") {
+  server.state.tokens[tick] = { tick, max, lim, minted: "0", deployer: "seed" };
+}
+
+/** Issue a challenge the mock's chat endpoints know the answer to (without a post) */
+function liveChallenge(server) {
+  const { makeChallenge } = require("../mockserver");
+  const { cleanForGPT } = require("../shared");
+  const ch = makeChallenge();
+  server.state.verifications[`code-${Object.keys(server.state.verifications).length}`] = {
+    postId: "none", answer: ch.answer, op: ch.op, cleaned: cleanForGPT(ch.challenge),
+    expires_at: new Date(Date.now() + 60000).toISOString()
+  };
+  return ch;
+}
+
+module.exports = { BOTS, WALLET_A, WALLET_B, freePort, setup, writeConfig, startMock, stopMock, readData, seedToken, liveChallenge };
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  deployInscription, mintInscription, transferInscription, linkInscription,
+  validateInscription, assertInscription, serializeInscription, parseInscription,
+  toUnits, fromUnits, keccak256, toChecksumAddress, addressError
+} = require("../inscription");
+
+test("builders normalize their input", () => {
+  assert.deepEqual(deployInscription(" claw ", 21000000, "100"), { p: "mbc-20", op: "deploy", tick: "CLAW", max: "21000000", lim: "100" });
+  assert.deepEqual(mintInscription("claw", 100), { p: "mbc-20", op: "mint", tick: "CLAW", amt: "100" });
+  assert.deepEqual(transferInscription("claw", "5.5", " agent_1 "), { p: "mbc-20", op: "transfer", tick: "CLAW", amt: "5.5", to: "agent_1" });
+  assert.deepEqual(linkInscription(" 0xabc "), { p: "mbc-20", op: "link", wallet: "0xabc" });
+});
+
+test("validateInscription accepts well-formed payloads", () => {
+  assert.deepEqual(validateInscription(deployInscription("CLAW", "1000", "100")), []);
+  assert.deepEqual(validateInscription(mintInscription("CLAW", "0.5")), []);
+  assert.deepEqual(validateInscription(transferInscription("CLAW", "1", "Bot.B-2")), []);
+  assert.deepEqual(validateInscription(linkInscription("0x" + "a".repeat(40))), []);
+});
+
+test("validateInscription reports each problem", () => {
+  assert.match(validateInscription(mintInscription("TOOLONGTICKER", "1"))[0], /invalid tick/);
+  assert.match(validateInscription(mintInscription("CLAW", "0"))[0], /invalid amt/);
+  assert.match(validateInscription(mintInscription("CLAW", "1e5"))[0], /invalid amt/);
+  assert.match(validateInscription(deployInscription("CLAW", "10", "100"))[0], /cannot exceed max/);
+  assert.match(validateInscription(transferInscription("CLAW", "1", "bad name"))[0], /invalid recipient/);
+  assert.match(validateInscription(linkInscription("0x123"))[0], /invalid wallet/);
+  assert.match(validateInscription({ p: "brc-20", op: "mint" })[0], /unknown protocol/);
+  assert.match(validateInscription({ p: "mbc-20", op: "burn" })[0], /unknown op/);
+  assert.throws(() => assertInscription(mintInscription("CLAW", "-1")), /Invalid mint inscription/);
+});
+
+test("serialize and parse round-trip", () => {
+  const ins = mintInscription("CLAW", "100");
+  const content = serializeInscription(ins);
+  assert.equal(content, '{"p":"mbc-20","op":"mint","tick":"CLAW","amt":"100"}\n\nmbc20.xyz');
+  assert.deepEqual(parseInscription(content), ins);
+  assert.equal(parseInscription("hello world"), null);
+  assert.equal(parseInscription('{"p":"other","op":"mint"}'), null);
+  assert.throws(() => serializeInscription(mintInscription("", "1")), /Invalid mint/);
+});
+
+test("amounts use fixed-point units without float drift", () => {
+  assert.equal(toUnits("0.1") + toUnits("0.2"), toUnits("0.3"));
+  assert.equal(fromUnits(toUnits("100")), "100");
+  assert.equal(fromUnits(toUnits("1.500")), "1.5");
+  assert.equal(fromUnits(-toUnits("2.25")), "-2.25");
+  assert.equal(toUnits("1." + "1".repeat(19)), null);
+  assert.equal(toUnits("abc"), null);
+});
+
+test("keccak256 matches the Ethereum test vectors", () => {
+  assert.equal(Buffer.from(keccak256(Buffer.alloc(0))).toString("hex"), "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470");
+  assert.equal(Buffer.from(keccak256(Buffer.from("abc"))).toString("hex"), "4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45");
+});
+
+test("EIP-55 checksums", () => {
+  const good = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+  assert.equal(toChecksumAddress(good.toLowerCase()), good);
+  assert.equal(toChecksumAddress("0xFB6916095CA1DF60BB79CE92CE3EA74C37C5D359"), "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359");
+  assert.equal(addressError(good), null);
+  assert.equal(addressError(good.toLowerCase()), null);
+  assert.match(addressError("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD"), /bad EIP-55 checksum, expected 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed/);
+  assert.equal(addressError("0x1234"), "0x + 40 hex chars");
+});
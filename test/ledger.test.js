@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, WALLET_A } = require("./helpers");
+setup();
+const { buildLedger } = require("../ledger");
+const { serializeInscription, deployInscription, mintInscription, transferInscription, linkInscription } = require("../inscription");
+
+let seq = 0;
+const post = (author, ins) => ({
+  id: `p${++seq}`,
+  author,
+  created_at: new Date(Date.UTC(2026, 0, 1, 0, seq)).toISOString(),
+  content: serializeInscription(ins)
+});
+
+test("mints are credited up to max and then rejected", () => {
+  const { tokens, balances, events } = buildLedger([
+    post("A", deployInscription("foo", "250", "100")),
+    post("A", mintInscription("FOO", "100")),
+    post("B", mintInscription("FOO", "100")),
+    post("B", mintInscription("FOO", "100")),
+    post("A", mintInscription("FOO", "100"))
+  ]);
+  assert.equal(tokens.FOO.minted, 250n * 10n ** 18n);
+  assert.equal(balances.A.FOO, 100n * 10n ** 18n);
+  assert.equal(balances.B.FOO, 150n * 10n ** 18n);
+  assert.equal(events[3].reason, "partial mint (50)");
+  assert.equal(events[4].reason, "minted out");
+});
+
+test("invalid mints and duplicate deploys are reported", () => {
+  const { events } = buildLedger([
+    post("A", mintInscription("BAR", "1")),
+    post("A", deployInscription("BAR", "1000", "10")),
+    post("B", deployInscription("BAR", "5", "5")),
+    post("A", mintInscription("BAR", "11"))
+  ]);
+  assert.deepEqual(events.map(e => e.reason), ["tick not deployed", null, "already deployed", "amount above lim 10"]);
+});
+
+test("transfers need a balance and links record the wallet", () => {
+  const { balances, links, events } = buildLedger([
+    post("A", deployInscription("BAZ", "1000", "100")),
+    post("A", mintInscription("BAZ", "100")),
+    post("A", transferInscription("BAZ", "40", "B")),
+    post("B", transferInscription("BAZ", "50", "A")),
+    post("A", linkInscription(WALLET_A))
+  ]);
+  assert.equal(balances.A.BAZ, 60n * 10n ** 18n);
+  assert.equal(balances.B.BAZ, 40n * 10n ** 18n);
+  assert.equal(events[3].reason, "insufficient balance (40)");
+  assert.equal(links.A, WALLET_A);
+});
+
+test("seeded external ticks accept mints without a local deploy", () => {
+  const { balances, tokens } = buildLedger([post("A", mintInscription("CLAW", "100"))], { CLAW: { max: "21000000", lim: "100" } });
+  assert.equal(tokens.CLAW.external, true);
+  assert.equal(balances.A.CLAW, 100n * 10n ** 18n);
+});
+
+test("an external tick minted out on the indexer rejects mints it hasn't counted", () => {
+  const indexed = { ...post("A", mintInscription("EXT", "100")), indexed: true };
+  const { balances, events } = buildLedger([indexed, post("B", mintInscription("EXT", "100"))],
+    { EXT: { max: "1000", lim: "100", minted: "1000" } }); // others minted 900, plus A's indexed 100
+  assert.equal(balances.A.EXT, 100n * 10n ** 18n);
+  assert.equal(balances.B, undefined);
+  assert.equal(events[1].reason, "minted out");
+});
+
+test("mints of an external tick not yet indexed get the remaining supply", () => {
+  const { balances, events } = buildLedger([post("A", mintInscription("EXT", "100"))],
+    { EXT: { max: "1000", lim: "100", minted: "950" } });
+  assert.equal(balances.A.EXT, 50n * 10n ** 18n);
+  assert.equal(events[0].reason, "partial mint (50)");
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, writeConfig, startMock, stopMock, readData, WALLET_A, WALLET_B } = require("./helpers");
+const env = setup({ mock: true });
+
+const link = require("../link");
+const { loadStatus, saveStatus, initBotStatus, reloadConfig } = require("../shared");
+
+let mock;
+test.before(async () => { mock = await startMock(env.port); });
+test.after(() => stopMock(mock));
+
+test("the pending link is on disk while its challenge is being solved", async () => {
+  const seen = [];
+  const onRequest = (req) => {
+    if (req.url === "/api/v1/verify") seen.push(readData(env.dir, "status.json").bots);
+  };
+  mock.on("request", onRequest);
+  try {
+    const { ok, results } = await link.run({ bots: ["BotA"] });
+    assert.equal(ok, true);
+    assert.deepEqual(results, [{ bot: "BotA", result: "link_ok" }]);
+  } finally {
+    mock.off("request", onRequest);
+  }
+
+  assert.equal(seen.length, 1);
+  const pending = seen[0].BotA.pending_verifications;
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].op, "link");
+  assert.equal(pending[0].wallet, WALLET_A);
+  assert.equal(seen[0].BotA.link.state, "posted");
+
+  const rec = readData(env.dir, "status.json").bots.BotA;
+  assert.deepEqual(rec.pending_verifications, []);
+  assert.equal(rec.link.state, "verified");
+  assert.equal(rec.link.wallet, WALLET_A);
+  assert.equal(rec.wallet_linked, true);
+});
+
+test("a bot whose configured wallet changed is relinked once", async () => {
+  writeConfig(env, { wallets: [{ bots: ["BotA"], wallet: WALLET_B }] });
+  reloadConfig();
+  try {
+    const { results } = await link.run({ bots: ["BotA"] });
+    assert.deepEqual(results, [{ bot: "BotA", result: "link_ok" }]);
+    assert.equal(readData(env.dir, "status.json").bots.BotA.link.wallet, WALLET_B);
+
+    const again = await link.run({ bots: ["BotA"] });
+    assert.deepEqual(again.results, [{ bot: "BotA", result: "already_linked" }]);
+  } finally {
+    writeConfig(env, { wallets: undefined });
+    reloadConfig();
+  }
+});
+
+/** A bot linked before link.wallet was saved (as migrated from status schema v6) */
+const legacyLink = async (name) => {
+  const status = loadStatus();
+  initBotStatus(status, name);
+  Object.assign(status[name], { claimed: true, wallet_linked: true, link: { state: "verified", wallet: null, post_id: null, at: null } });
+  await saveStatus(status);
+};
+const postCount = (name) => Object.values(mock.state.posts).filter(p => p.agent === name).length;
+
+test("a legacy link the indexer shows for the configured wallet is confirmed without posting", async () => {
+  await legacyLink("BotB");
+  mock.state.wallets.BotB = WALLET_A;
+  const before = postCount("BotB");
+
+  const { results } = await link.run({ bots: ["BotB"] });
+  assert.deepEqual(results, [{ bot: "BotB", result: "already_linked" }]);
+  assert.equal(postCount("BotB"), before);
+  const rec = readData(env.dir, "status.json").bots.BotB;
+  assert.equal(rec.link.state, "confirmed");
+  assert.equal(rec.link.wallet, WALLET_A);
+});
+
+test("a legacy link the indexer doesn't show is reported as unknown and relinked", async () => {
+  await legacyLink("BotB");
+  delete mock.state.wallets.BotB;
+  const before = postCount("BotB");
+
+  const check = await link.checkLinks({ bots: ["BotB"] });
+  assert.equal(check.ok, false);
+  assert.deepEqual(check.results.map(r => r.result), ["link_unknown"]);
+
+  const { results } = await link.run({ bots: ["BotB"] });
+  assert.deepEqual(results, [{ bot: "BotB", result: "link_ok" }]);
+  assert.equal(postCount("BotB"), before + 1);
+  assert.equal(readData(env.dir, "status.json").bots.BotB.link.wallet, WALLET_A);
+});
@@ -0,0 +1,20 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, BOTS } = require("./helpers");
+setup();
+
+const { tryMintBot } = require("../mint");
+const { buildMintPlan } = require("../mintplan");
+const { initBotStatus } = require("../shared");
+
+const plan = buildMintPlan({ mint_plan: [{ bots: "*", ticks: [{ tick: "CLAW", amt: "100", max_mints: 2 }] }] });
+
+test("mints pending verification count toward max_mints", async () => {
+  const status = {};
+  initBotStatus(status, "BotA");
+  status.BotA.mint_counts = { CLAW: 1 };
+  status.BotA.pending_verifications = [{ op: "mint", tick: "CLAW", code: "c1", expires_at: new Date(Date.now() + 60000).toISOString() }];
+  // Returns before any request: the plan is done once the pending mint is counted
+  assert.equal(await tryMintBot(BOTS[0], -1, status, false, plan), "plan_done");
+});
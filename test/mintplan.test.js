@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildMintPlan, planForBot, nextMint } = require("../mintplan");
+
+test("without mint_plan every bot mints mint_tick/mint_amt", () => {
+  const plan = buildMintPlan({ mint_tick: "claw", mint_amt: "50" });
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(nextMint(planForBot(plan, "Anyone"), {}), { tick: "CLAW", amt: "50" });
+});
+
+test("the first matching rule applies", () => {
+  const plan = buildMintPlan({ mint_plan: [
+    { bots: ["Bot1"], ticks: [{ tick: "FOO", amt: "1" }] },
+    { bots: "*", ticks: [{ tick: "CLAW", amt: "100" }] }
+  ] });
+  assert.equal(nextMint(planForBot(plan, "Bot1")).tick, "FOO");
+  assert.equal(nextMint(planForBot(plan, "Bot2")).tick, "CLAW");
+});
+
+test("sequential mode moves on once max_mints is reached", () => {
+  const rule = planForBot(buildMintPlan({ mint_plan: [{ bots: "*", ticks: [
+    { tick: "CLAW", amt: "100", max_mints: 2 }, { tick: "FOO", amt: "5" }
+  ] }] }), "Bot1");
+  assert.equal(nextMint(rule, { CLAW: 1 }).tick, "CLAW");
+  assert.equal(nextMint(rule, { CLAW: 2 }).tick, "FOO");
+  assert.equal(nextMint(rule, { CLAW: 2 }, new Set(["FOO"])), null);
+});
+
+test("rotate mode picks the tick with the fewest mints", () => {
+  const rule = planForBot(buildMintPlan({ mint_plan: [{ bots: "*", mode: "rotate", ticks: [
+    { tick: "CLAW", amt: "100", max_mints: 3 }, { tick: "FOO", amt: "5" }
+  ] }] }), "Bot1");
+  assert.equal(nextMint(rule, {}).tick, "CLAW");
+  assert.equal(nextMint(rule, { CLAW: 1 }).tick, "FOO");
+  assert.equal(nextMint(rule, { CLAW: 3, FOO: 9 }).tick, "FOO");
+});
+
+test("invalid plans are reported", () => {
+  const { errors } = buildMintPlan({ mint_plan: [
+    { bots: "*", mode: "random", ticks: [{ tick: "CLAW", amt: "0", max_mints: -1 }] },
+    { bots: "*", ticks: [] }
+  ] });
+  assert.equal(errors.length, 4);
+  assert.match(errors.join("\n"), /unknown mode "random"/);
+  assert.match(errors.join("\n"), /invalid amt/);
+  assert.match(errors.join("\n"), /max_mints must be a positive integer/);
+  assert.match(errors.join("\n"), /"ticks" must be a non-empty list/);
+});
+
+test("non-object rules and ticks are reported, not thrown", () => {
+  const plan = buildMintPlan({ mint_plan: [null, "CLAW", { bots: "*", ticks: [null, { tick: "CLAW", amt: "1" }] }, { bots: "*", ticks: {} }] });
+  assert.deepEqual(plan.errors, [
+    "mint_plan[0]: rule #0 must be an object",
+    "mint_plan[1]: rule #1 must be an object",
+    "mint_plan[2].ticks[0]: must be an object",
+    'mint_plan[3]: "ticks" must be a non-empty list'
+  ]);
+  assert.equal(planForBot(plan, "Bot1"), plan.rules[2]);
+});
+
+test("a bot without a matching rule has nothing to mint", () => {
+  const plan = buildMintPlan({ mint_plan: [{ bots: ["Bot1"], ticks: [{ tick: "CLAW", amt: "1" }] }] });
+  assert.equal(planForBot(plan, "Bot2"), null);
+  assert.equal(nextMint(null), null);
+});
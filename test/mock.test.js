@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, startMock, stopMock, readData, seedToken } = require("./helpers");
+const env = setup({ mock: true, config: { mint_tick: "CLAW", mint_amt: "100" } });
+
+const mint = require("../mint");
+const indexmint = require("../indexmint");
+const ledger = require("../ledger");
+
+let mock;
+test.before(async () => {
+  mock = await startMock(env.port);
+  seedToken(mock, "CLAW");
+});
+test.after(() => stopMock(mock));
+
+test("mint --once posts, verifies and counts a mint for every bot", async () => {
+  const { ok, results } = await mint.run({ once: true });
+  assert.equal(ok, true);
+  assert.deepEqual(results.map(r => [r.bot, r.result]).sort(), [["BotA", "mint_ok"], ["BotB", "mint_ok"]]);
+
+  const posts = Object.values(mock.state.posts);
+  assert.equal(posts.length, 2);
+  assert.ok(posts.every(p => p.verified));
+
+  const { bots } = readData(env.dir, "status.json");
+  for (const name of ["BotA", "BotB"]) {
+    assert.equal(bots[name].mint_counts.CLAW, 1);
+    assert.deepEqual(bots[name].pending_verifications, []);
+    assert.ok(bots[name].next_mint_at);
+  }
+});
+
+test("indexing credits the verified mints on the indexer", async () => {
+  const { ok } = await indexmint.run();
+  assert.equal(ok, true);
+  assert.equal(mock.state.tokens.CLAW.minted, "200");
+  assert.equal(mock.state.balances.BotA.CLAW, 100);
+  assert.equal(mock.state.balances.BotB.CLAW, 100);
+});
+
+test("the ledger matches the indexer for an externally deployed tick", async () => {
+  const { ok, results } = await ledger.run();
+  assert.equal(ok, true);
+  assert.deepEqual(results.map(r => [r.bot, r.tick, r.local]).sort(), [["BotA", "CLAW", "100"], ["BotB", "CLAW", "100"]]);
+});
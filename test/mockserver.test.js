@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { BOTS, setup, startMock, stopMock } = require("./helpers");
+const env = setup({ mock: true });
+const base = `http://127.0.0.1:${env.port}`;
+
+let mock;
+test.before(async () => { mock = await startMock(env.port); });
+test.after(() => stopMock(mock));
+
+async function call(method, route, body, apiKey = BOTS[0].apiKey) {
+  const resp = await fetch(`${base}${route}`, {
+    method,
+    headers: { "x-api-key": apiKey, "content-type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: resp.status, json: await resp.json() };
+}
+
+const MINT = '{"p":"mbc-20","op":"mint","tick":"CLAW","amt":"100"}\n\nmbc20.xyz';
+
+test("a post is published once its challenge is answered", async () => {
+  const created = await call("POST", "/api/v1/posts", { submolt: "mbc-20", title: "Minting CLAW", content: MINT });
+  assert.equal(created.status, 201);
+  const { code } = created.json.verification;
+  const answer = mock.state.verifications[code].answer;
+
+  assert.equal((await call("POST", "/api/v1/verify", { verification_code: code, answer: "-1.00" })).status, 400);
+  const verified = await call("POST", "/api/v1/verify", { verification_code: code, answer });
+  assert.equal(verified.status, 200);
+  assert.equal(mock.state.posts[created.json.post.id].verified, true);
+  assert.equal((await call("POST", "/api/v1/verify", { verification_code: code, answer })).status, 404);
+});
+
+test("the indexer picks up an agent's verified mbc-20 posts once", async () => {
+  const first = await call("GET", `/api/index-agent?name=${BOTS[0].name}`);
+  assert.deepEqual([first.json.indexed, first.json.mbc20Posts], [1, 1]);
+  const again = await call("GET", `/api/index-agent?name=${BOTS[0].name}`);
+  assert.deepEqual([again.json.indexed, again.json.skipped], [0, 1]);
+  assert.equal((await call("GET", "/api/index-agent?name=nobody")).status, 404);
+});
+
+test("the chat stand-in answers a challenge it issued", async () => {
+  const created = await call("POST", "/api/v1/posts", { submolt: "mbc-20", title: "Minting CLAW", content: MINT }, BOTS[1].apiKey);
+  const v = mock.state.verifications[created.json.verification.code];
+  const reply = await call("POST", "/v1/chat/completions", { model: "gpt-4o-mini", messages: [{ role: "user", content: v.cleaned }] });
+  assert.match(reply.json.choices[0].message.content, new RegExp(`${v.answer.replace(".", "\\.")}$`));
+});
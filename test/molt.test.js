@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { setup } = require("./helpers");
+const env = setup();
+
+function molt(...argv) {
+  const r = spawnSync(process.execPath, [path.join(__dirname, "..", "molt.js"), ...argv], {
+    env: { ...process.env, MOLT_DATA_DIR: env.dir }, encoding: "utf8", timeout: 30000
+  });
+  return { code: r.status, stderr: r.stderr };
+}
+
+test("unknown commands and options are usage errors", () => {
+  assert.equal(molt("nope").code, 2);
+  const r = molt("status", "--bot", "BotA");
+  assert.equal(r.code, 2);
+  assert.match(r.stderr, /unknown option "--bot"/);
+});
+
+test("an option missing its value is a usage error", () => {
+  for (const argv of [["status", "--bots"], ["status", "--bots", "--json"], ["status", "--bots="]]) {
+    const r = molt(...argv);
+    assert.equal(r.code, 2, argv.join(" "));
+    assert.match(r.stderr, /--bots needs a value/);
+  }
+});
+
+test("invalid numbers are usage errors", () => {
+  assert.equal(molt("usage", "--days", "0").code, 2);
+  assert.equal(molt("mint", "--concurrency", "x").code, 2);
+  assert.equal(molt("dashboard", "--port", "99999").code, 2);
+});
+
+test("valid options run the command", () => {
+  const r = molt("status", "--bots", "BotA", "--json");
+  assert.equal(r.code, 0, r.stderr);
+});
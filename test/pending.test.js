@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const { setup, startMock, stopMock, readData, seedToken } = require("./helpers");
+const env = setup({ mock: true, config: { mint_tick: "CLAW", mint_amt: "100" } });
+
+const mint = require("../mint");
+
+let mock;
+test.before(async () => {
+  mock = await startMock(env.port);
+  seedToken(mock, "CLAW");
+});
+test.after(() => stopMock(mock));
+
+/** Let the mock apply the next /verify but drop the connection instead of replying, then call after() */
+function loseVerifyReply(after = () => {}) {
+  let armed = true;
+  mock.prependListener("request", (req, res) => {
+    if (!armed || req.method !== "POST" || req.url !== "/api/v1/verify") return;
+    armed = false;
+    res.end = () => { req.socket.destroy(); after(); };
+  });
+}
+
+const postsOf = (name) => Object.values(mock.state.posts).filter(p => p.agent === name);
+
+test("a verify whose response was lost is counted once its post shows as verified", async () => {
+  loseVerifyReply();
+  const first = await mint.run({ once: true, bots: ["BotA"] });
+  assert.deepEqual(first.results.map(r => r.result), ["mint_unverified"]);
+  const posts = postsOf("BotA");
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].verified, true); // the retried /verify got 404: the first one had used the code
+
+  const { ok, results } = await mint.run({ once: true, bots: ["BotA"] });
+  assert.equal(ok, true);
+  assert.deepEqual(results.map(r => [r.result, r.resumed]), [["mint_ok", true]]);
+  assert.equal(postsOf("BotA").length, 1);
+  const rec = readData(env.dir, "status.json").bots.BotA;
+  assert.equal(rec.mint_counts.CLAW, 1);
+  assert.deepEqual(rec.post_ids, [posts[0].id]);
+  assert.deepEqual(rec.pending_verifications, []);
+  assert.deepEqual(rec.expired_verifications, []);
+});
+
+test("a mint killed between verifying and saving is counted on restart", async () => {
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "molt.js"), "mint", "--once", "--bots", "BotB"], {
+    env: { ...process.env, MOLT_DATA_DIR: env.dir }, stdio: "ignore"
+  });
+  loseVerifyReply(() => child.kill("SIGKILL"));
+  const timer = setTimeout(() => child.kill("SIGKILL"), 30000);
+  const signal = await new Promise(resolve => child.on("exit", (code, sig) => resolve(sig)));
+  clearTimeout(timer);
+  assert.equal(signal, "SIGKILL");
+
+  const posts = postsOf("BotB");
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].verified, true);
+  const killed = readData(env.dir, "status.json").bots.BotB;
+  assert.equal(killed.pending_verifications.length, 1);
+  assert.equal(killed.mint_counts.CLAW, undefined);
+
+  // BotB's cooldown was never saved either, so it may post its next mint in the same pass
+  const { ok, results } = await mint.run({ once: true, bots: ["BotB"] });
+  assert.equal(ok, true);
+  assert.deepEqual([results[0].result, results[0].resumed], ["mint_ok", true]);
+  const rec = readData(env.dir, "status.json").bots.BotB;
+  assert.equal(rec.post_ids[0], posts[0].id);
+  assert.equal(rec.mint_counts.CLAW, postsOf("BotB").filter(p => p.verified).length);
+  assert.deepEqual(rec.pending_verifications, []);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, writeConfig, startMock, stopMock, liveChallenge } = require("./helpers");
+const env = setup({ mock: true });
+const base = `http://127.0.0.1:${env.port}`;
+
+const { buildProviders, describeProviders, priceFor, costOf } = require("../providers");
+const { reloadConfig, solveChallengeWithLLM } = require("../shared");
+
+let mock;
+test.before(async () => { mock = await startMock(env.port); });
+test.after(() => stopMock(mock));
+
+function useProviders(list) {
+  writeConfig(env, { solver_providers: list });
+  reloadConfig();
+}
+
+test("buildProviders defaults to a single openai provider", () => {
+  const { providers, errors } = buildProviders({}, { openaiUrl: "https://api.openai.com", openaiModel: "gpt-4o-mini", openaiApiKey: "sk-x" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(providers.map(p => [p.name, p.baseUrl, p.model]), [["openai", "https://api.openai.com/v1", "gpt-4o-mini"]]);
+});
+
+test("buildProviders reports invalid entries", () => {
+  const { errors } = buildProviders({ solver_providers: [
+    { type: "nope" },
+    { type: "openai-compatible" },
+    { type: "openai", name: "slow", timeout: 0 },
+    { type: "openai" },
+    { type: "openai" }
+  ] }, { openaiUrl: "https://api.openai.com", openaiModel: "m", openaiApiKey: "k" });
+  assert.match(errors.join("\n"), /unknown type "nope"/);
+  assert.match(errors.join("\n"), /base_url is required/);
+  assert.match(errors.join("\n"), /timeout must be a positive number/);
+  assert.match(errors.join("\n"), /duplicate name "openai"/);
+});
+
+test("providers without a required API key are skipped, not errors", () => {
+  const { providers, skipped, errors } = buildProviders({ solver_providers: [
+    { type: "anthropic" },
+    { type: "openai-compatible", name: "local", base_url: "http://127.0.0.1:11434/v1", model: "llama3.1" }
+  ] }, { openaiUrl: "https://api.openai.com", openaiModel: "m", openaiApiKey: "" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(skipped, ["anthropic"]);
+  assert.equal(describeProviders(providers), "local (llama3.1)");
+});
+
+test("prices match the longest model prefix and can be overridden", () => {
+  assert.deepEqual(priceFor("gpt-4o-mini-2024-07-18"), { input: 0.15, output: 0.60 });
+  assert.deepEqual(priceFor("gpt-4o-2024-08-06"), { input: 2.50, output: 10.00 });
+  assert.equal(priceFor("gpt-4ox"), null);
+  assert.equal(priceFor("llama3.1"), null);
+  assert.deepEqual(priceFor("llama3.1", { "llama3.1": { input: 0, output: 0 } }), { input: 0, output: 0 });
+
+  assert.equal(costOf("gpt-4o-mini", { input: 1e6, output: 2e6 }), 1.35);
+  assert.equal(costOf("llama3.1", { input: 100, output: 100 }), null);
+  assert.equal(costOf("gpt-4o-mini", { input: 1e6, output: 0 }, { "gpt-4o-mini": { input: 1 } }), 1);
+});
+
+test("a failing provider falls through to the next one", async () => {
+  useProviders([
+    { type: "openai-compatible", name: "down", base_url: "http://127.0.0.1:9/v1", model: "m", timeout: 2 },
+    { type: "anthropic", api_key: "sk-ant-test", base_url: base }
+  ]);
+  const ch = liveChallenge(mock);
+  const { answer, provider } = await solveChallengeWithLLM(ch.challenge);
+  assert.equal(provider, "anthropic");
+  assert.equal(answer, ch.answer);
+});
+
+test("the error lists every provider when all of them fail", async () => {
+  useProviders([
+    { type: "openai-compatible", name: "a", base_url: "http://127.0.0.1:9/v1", model: "m", timeout: 2 },
+    { type: "openai-compatible", name: "b", base_url: "http://127.0.0.1:9/v1", model: "m", timeout: 2 }
+  ]);
+  await assert.rejects(solveChallengeWithLLM(liveChallenge(mock).challenge), /All solver providers failed — a: .*; b: /);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const { setup, startMock, stopMock, liveChallenge } = require("./helpers");
+const env = setup({ mock: true, config: { solver_min_confidence: 2 } });
+
+const { readCorpus, USAGE_FILE } = require("../shared");
+
+let mock;
+test.before(async () => { mock = await startMock(env.port); });
+test.after(() => stopMock(mock));
+
+/** Run replay.js in a child process (async, so the mock keeps serving) */
+function replay(...argv) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, "..", "replay.js"), ...argv], {
+      env: { ...process.env, MOLT_DATA_DIR: env.dir }, stdio: "ignore"
+    });
+    const timer = setTimeout(() => child.kill(), 30000);
+    child.on("error", reject);
+    child.on("exit", (code) => { clearTimeout(timer); resolve(code); });
+  });
+}
+
+test("LLM usage of an auto replay is booked to replay", async () => {
+  const ch = liveChallenge(mock);
+  const corpus = path.join(env.dir, "corpus.jsonl");
+  fs.writeFileSync(corpus, JSON.stringify({ challenge: ch.challenge, answer: ch.answer, outcome: "correct" }) + "\n");
+
+  assert.equal(await replay("--solver", "auto", "--file", corpus), 0);
+  const usage = readCorpus(USAGE_FILE);
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].bot, "replay");
+});
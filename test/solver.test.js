@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { solveLocally, parseAnswer, cleanForGPT, deobfuscate, detectOperation } = require("../solver");
+
+const CASES = [
+  ["A] lO b-StEr'S ~ClAw^ ExErTs/ twEnTy ThReE {nEwToNs} AnD tHe OtHeR cLaW eXeRtS fIfTeEn NeWtOnS, wHaT iS tHe ToTaL fOrCe", "add", "38.00"],
+  ["a lOoObSsStErR sWiMs At tHiR tY fIvE mEtErS pEr SeCoNd AnD sLoWs DoWn By TwElVe MeTeRs PeR sEcOnD, wHaT iS iTs NeW sPeEd", "subtract", "23.00"],
+  ["a LoBsTeR cLaW eXeRtS sEvEn NeWtOnS aNd ItS gRiP gRoWs ThReE tImEs StRoNgEr, WhAt Is ThE nEw FoRcE", "multiply", "21.00"],
+  ["fOrTy TwO sHrImP aRe ShArEd EqUaLlY aMoNg SiX lObStErS, hOw MaNy ShRiMp DoEs EaCh LoBsTeR gEt", "divide", "7.00"]
+];
+
+for (const [challenge, op, answer] of CASES) {
+  test(`local solver: ${op}`, () => {
+    const r = solveLocally(challenge);
+    assert.equal(r.op, op);
+    assert.equal(r.answer, answer);
+    assert.ok(r.confidence >= 0.8, `confidence ${r.confidence}`);
+  });
+}
+
+test("local solver rejoins split number words", () => {
+  assert.deepEqual(solveLocally("a lobster has tW eN tY sEv En claws and gains fOuR").numbers, [27, 4]);
+});
+
+test("local solver gives up with fewer than two numbers", () => {
+  const r = solveLocally("Um a lobster tW eN tY sEv En");
+  assert.equal(r.answer, null);
+  assert.equal(r.confidence, 0);
+});
+
+test("detectOperation reads the keywords", () => {
+  assert.equal(detectOperation("what is the total").op, "add");
+  assert.equal(detectOperation("it slows down by").op, "subtract");
+  assert.equal(detectOperation("grows five times stronger").op, "multiply");
+  assert.equal(detectOperation("shared equally among").op, "divide");
+});
+
+test("parseAnswer always returns two decimals", () => {
+  assert.equal(parseAnswer("so the answer is 47.00"), "47.00");
+  assert.equal(parseAnswer("47"), "47.00");
+  assert.equal(parseAnswer("3.14159"), "3.14");
+  assert.equal(parseAnswer("no number here"), null);
+});
+
+test("text cleaning", () => {
+  assert.equal(cleanForGPT("Um, A] lO b-StEr!"), "A lO b StEr");
+  assert.equal(deobfuscate("lOoObSsStErR"), "lobster");
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { setup, readData } = require("./helpers");
+const env = setup();
+const { loadStatus, saveStatus, updateStatus, initBotStatus, defaultBotStatus, STATUS_FILE, STATUS_SCHEMA_VERSION } = require("../shared");
+const LOCK_FILE = STATUS_FILE + ".lock";
+
+const reset = (doc) => {
+  if (doc === undefined) fs.rmSync(STATUS_FILE, { force: true });
+  else fs.writeFileSync(STATUS_FILE, JSON.stringify(doc));
+};
+
+test("a legacy flat status file is migrated to the current schema", async () => {
+  reset({ Bot1: { claimed: true, post_ids: ["p1"] } });
+  const status = loadStatus();
+  assert.deepEqual(status.Bot1, { ...defaultBotStatus(), claimed: true, post_ids: ["p1"] });
+
+  await saveStatus(status);
+  assert.equal(readData(env.dir, "status.json").schema_version, STATUS_SCHEMA_VERSION);
+});
+
+test("v6 bots that linked a wallet get a verified link record", () => {
+  reset({ schema_version: 6, bots: { Bot1: { wallet_linked: true }, Bot2: { wallet_linked: false } } });
+  const status = loadStatus();
+  assert.equal(status.Bot1.link.state, "verified");
+  assert.equal(status.Bot2.link, null);
+});
+
+test("v1 bots that linked a wallet keep a verified link with an unknown wallet", () => {
+  reset({ Bot1: { claimed: true, wallet_linked: true } });
+  const status = loadStatus();
+  assert.equal(status.Bot1.wallet_linked, true);
+  assert.equal(status.Bot1.link.state, "verified");
+  assert.equal(status.Bot1.link.wallet, null);
+});
+
+test("a newer schema is refused", () => {
+  reset({ schema_version: STATUS_SCHEMA_VERSION + 1, bots: {} });
+  assert.throws(() => loadStatus(), /newer than supported/);
+});
+
+test("a corrupt status file is moved aside", () => {
+  fs.writeFileSync(STATUS_FILE, "{not json");
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(loadStatus(), {});
+  } finally {
+    console.warn = warn;
+  }
+  assert.ok(fs.readdirSync(env.dir).some(f => f.startsWith(path.basename(STATUS_FILE) + ".corrupt-")));
+});
+
+test("saveStatus merges changes written by another process since load", async () => {
+  reset();
+  const mine = loadStatus();
+  initBotStatus(mine, "Bot1");
+  mine.Bot1.post_ids.push("a");
+  mine.Bot1.mint_counts = { CLAW: 1 };
+
+  await updateStatus(bots => {
+    bots.Bot1 = { ...(bots.Bot1 || {}), post_ids: ["b"], claimed: true, mint_counts: { FOO: 2 } };
+    bots.Bot2 = { claimed: true };
+  });
+
+  await saveStatus(mine);
+  const disk = readData(env.dir, "status.json").bots;
+  assert.deepEqual([...disk.Bot1.post_ids].sort(), ["a", "b"]);
+  assert.equal(disk.Bot1.claimed, true);
+  assert.deepEqual(disk.Bot1.mint_counts, { FOO: 2, CLAW: 1 });
+  assert.equal(disk.Bot2.claimed, true);
+  assert.deepEqual(mine, disk);
+});
+
+test("items removed locally are removed on disk, others are kept", async () => {
+  reset({ schema_version: STATUS_SCHEMA_VERSION, bots: { Bot1: { pending_verifications: [{ post_id: "x" }] } } });
+  const mine = loadStatus();
+  mine.Bot1.pending_verifications = [];
+  await updateStatus(bots => { bots.Bot1.pending_verifications.push({ post_id: "y" }); });
+  await saveStatus(mine);
+  assert.deepEqual(readData(env.dir, "status.json").bots.Bot1.pending_verifications, [{ post_id: "y" }]);
+});
+
+test("saves from concurrent workers in one process are all kept", async () => {
+  reset();
+  const workers = ["Bot1", "Bot2", "Bot3", "Bot4"].map(name => {
+    const own = loadStatus();
+    initBotStatus(own, name);
+    own[name].mint_counts = { CLAW: 1 };
+    return saveStatus(own);
+  });
+  await Promise.all(workers);
+  const disk = readData(env.dir, "status.json").bots;
+  assert.deepEqual(Object.keys(disk).sort(), ["Bot1", "Bot2", "Bot3", "Bot4"]);
+  assert.ok(!fs.existsSync(LOCK_FILE));
+});
+
+test("waiting for another process's lock doesn't block the event loop", async () => {
+  reset();
+  fs.writeFileSync(LOCK_FILE, "99999");
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 20);
+  setTimeout(() => fs.unlinkSync(LOCK_FILE), 300);
+  try {
+    await updateStatus(bots => { bots.Bot1 = { claimed: true }; });
+  } finally {
+    clearInterval(ticker);
+  }
+  assert.ok(ticks >= 5, `event loop ran ${ticks} time(s) while waiting`);
+  assert.equal(readData(env.dir, "status.json").bots.Bot1.claimed, true);
+});
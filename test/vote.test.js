@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { setup, writeConfig, startMock, stopMock, liveChallenge } = require("./helpers");
+const env = setup({ mock: true });
+const base = `http://127.0.0.1:${env.port}`;
+
+const { reloadConfig, solveChallenge, solveChallengeByVote } = require("../shared");
+
+const DOWN = { type: "openai-compatible", name: "down", base_url: "http://127.0.0.1:9/v1", model: "m", timeout: 2 };
+
+let mock;
+test.before(async () => { mock = await startMock(env.port); });
+test.after(() => stopMock(mock));
+
+function useProviders(list, settings = {}) {
+  writeConfig(env, { solver_providers: list, ...settings });
+  reloadConfig();
+}
+
+test("samples rotate through providers, then temperatures", async () => {
+  useProviders([{ type: "openai" }, { type: "anthropic", api_key: "sk-ant-test", base_url: base }]);
+  const ch = liveChallenge(mock);
+  const { answer, agreement, votes } = await solveChallengeByVote(ch.challenge, null, { samples: 3 });
+  assert.equal(answer, ch.answer);
+  assert.equal(agreement, 1);
+  assert.deepEqual(votes.map(v => v.by), ["openai@0", "anthropic@0", "openai@0.5"]);
+});
+
+test("a failing sample abstains and a tie goes to the first vote", async () => {
+  useProviders([DOWN, { type: "openai" }]);
+  const ch = liveChallenge(mock);
+  const { answer, agreement, votes } = await solveChallengeByVote(ch.challenge, null, { samples: 2, local: "1.00" });
+  assert.deepEqual(votes.map(v => v.by), ["openai@0", "local"]);
+  assert.equal(answer, ch.answer);
+  assert.equal(agreement, 0.5);
+});
+
+test("the local answer still counts when the verification window has closed", async () => {
+  useProviders([{ type: "openai" }]);
+  const ch = liveChallenge(mock);
+  const { answer, votes } = await solveChallengeByVote(ch.challenge, null, { samples: 2, local: "1.00", expiresAt: new Date().toISOString() });
+  assert.equal(answer, "1.00");
+  assert.deepEqual(votes.map(v => v.by), ["local"]);
+});
+
+test("voting fails when no sample answers or no provider matches", async () => {
+  useProviders([DOWN]);
+  await assert.rejects(solveChallengeByVote(liveChallenge(mock).challenge, null, { samples: 2 }), /No sample answered/);
+  await assert.rejects(solveChallengeByVote("x", null, { provider: "nope" }), /No usable solver provider/);
+});
+
+test("solver_votes >= 2 makes solveChallenge vote", async () => {
+  useProviders([{ type: "openai" }], { solver: "gpt", solver_votes: 2 });
+  try {
+    const ch = liveChallenge(mock);
+    const solved = await solveChallenge(ch.challenge, null, { cache: false });
+    assert.equal(solved.source, "vote");
+    assert.equal(solved.answer, ch.answer);
+    assert.equal(solved.confidence, 1);
+    assert.equal(solved.votes.length, 2);
+  } finally {
+    useProviders([], { solver: undefined, solver_votes: undefined });
+  }
+});
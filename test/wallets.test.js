@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildWalletPlan, walletForBot, sameWallet } = require("../wallets");
+const { WALLET_A, WALLET_B } = require("./helpers");
+
+test("the first rule listing the bot wins, then \"*\", then wallet", () => {
+  const plan = buildWalletPlan({
+    wallet: WALLET_A,
+    wallets: [
+      { bots: ["Bot1", "Bot2"], wallet: WALLET_B },
+      { bots: "Bot3", wallet: WALLET_A },
+      { bots: ["Bot1"], wallet: WALLET_A }
+    ]
+  });
+  assert.deepEqual(plan.errors, []);
+  assert.equal(walletForBot(plan, "Bot1"), WALLET_B);
+  assert.equal(walletForBot(plan, "Bot3"), WALLET_A);
+  assert.equal(walletForBot(plan, "Other"), WALLET_A);
+
+  const catchAll = buildWalletPlan({ wallet: WALLET_A, wallets: [{ bots: "*", wallet: WALLET_B }] });
+  assert.equal(walletForBot(catchAll, "Other"), WALLET_B);
+});
+
+test("a bot with no rule and no default wallet gets none", () => {
+  const plan = buildWalletPlan({ wallets: [{ bots: ["Bot1"], wallet: WALLET_B }] });
+  assert.deepEqual(plan.errors, []);
+  assert.equal(walletForBot(plan, "Bot2"), "");
+});
+
+test("invalid addresses and rules are reported", () => {
+  const badChecksum = WALLET_A.replace("5aAeb", "5aaeb");
+  const plan = buildWalletPlan({
+    wallet: "0x123",
+    wallets: [
+      { bots: [], wallet: WALLET_B },
+      { bots: ["Bot1"], wallet: badChecksum },
+      { bots: ["Bot2"] }
+    ]
+  });
+  assert.equal(plan.errors.length, 4);
+  assert.match(plan.errors[0], /^wallet: invalid address "0x123"/);
+  assert.match(plan.errors[1], /^wallets\[0\]: "bots" must be/);
+  assert.match(plan.errors[2], /^wallets\[1\]: invalid address/);
+  assert.match(plan.errors[2], new RegExp(WALLET_A));
+  assert.match(plan.errors[3], /^wallets\[2\]: invalid address ""/);
+
+  assert.deepEqual(buildWalletPlan({ wallet: WALLET_A, wallets: {} }).errors, ['wallets: must be a list of { "bots", "wallet" } rules']);
+});
+
+test("sameWallet ignores checksum case but not missing addresses", () => {
+  assert.equal(sameWallet(WALLET_A, WALLET_A.toLowerCase()), true);
+  assert.equal(sameWallet(WALLET_A, WALLET_B), false);
+  assert.equal(sameWallet(null, null), false);
+  assert.equal(sameWallet(WALLET_A, ""), false);
+});
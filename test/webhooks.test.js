@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { setup, freePort } = require("./helpers");
+setup({ config: { webhooks: [{ url: `http://127.0.0.1:${freePort()}/hook`, secret: "s3cret" }] } });
+
+const { signBody } = require("../webhooks");
+
+test("signatures are the HMAC-SHA256 of the raw body", () => {
+  assert.equal(signBody("key", "The quick brown fox jumps over the lazy dog"),
+    "sha256=f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8");
+});
+
+test("a pending retry doesn't keep a finished script alive", () => {
+  // The hook refuses connections, so the first attempt fails and a retry is scheduled in 5s
+  const script = `
+    const { notify, flushWebhooks } = require(${JSON.stringify(path.join(__dirname, "..", "webhooks"))});
+    notify("index.error", { bot: "BotA" });
+    flushWebhooks(1000).then(n => { process.stdout.write(String(n)); });
+  `;
+  const started = Date.now();
+  const r = spawnSync(process.execPath, ["-e", script], { env: process.env, encoding: "utf8", timeout: 20000 });
+  assert.equal(r.status, 0, r.stderr);
+  assert.equal(r.stdout, "1");
+  assert.ok(Date.now() - started < 4000, `took ${Date.now() - started}ms`);
+});
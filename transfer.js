@@ -8,92 +8,164 @@
  *   3. Enter token ticker (default: CLAW)
  *   4. Enter amount to transfer
  *
+ * All four values can also be passed as flags for non-interactive use.
+ *
  * Usage: node transfer.js
+ *        molt transfer --from Bot1 --to agent --tick CLAW --amt 100 [--dry-run] [--json]
  */
 
 const readline = require("readline");
 
 const {
-  MBC20_SUBMOLT,
-  SEP, SEP2, log, logBlock, logResult,
+  MOLTBOOK_URL,
+  SEP, SEP2, log, logSep, logBlock, logResult,
   readBots, readProxies,
-  createPost, verifyPost
+  transferInscription, validateInscription, postInscription, verifyPost, verifyError
 } = require("./shared");
+const { notify } = require("./webhooks");
 
 function ask(rl, question) {
   return new Promise(resolve => rl.question(question, resolve));
 }
 
-async function main() {
+/**
+ * Post a transfer inscription and solve its verification.
+ * @returns {Promise<{result: string, post_id: string|null, retry_after_seconds?: number}>}
+ *   result: transfer_ok | verify_fail | transfer_rate_limit | transfer_fail
+ */
+async function postTransfer(sender, payload, proxyIdx) {
+  const transferId = Math.random().toString(36).slice(2, 10);
+  const title      = `Transfer ${payload.tick} to ${payload.to} - #${transferId}`;
+
+  log(sender.name, "Posting transfer inscription...");
+  const resp = await postInscription(sender.apiKey, title, payload, proxyIdx, sender.name, sender.name);
+  const ctx = { bot: sender.name, op: "transfer", tick: payload.tick, status: resp.statusCode, post_id: resp.json?.post?.id || null };
+  log(sender.name, `POST status: ${resp.statusCode}`, ctx);
+  const event = { from: sender.name, to: payload.to, tick: payload.tick, amt: payload.amt };
+
+  if (resp.statusCode >= 200 && resp.statusCode < 300) {
+    logResult(sender.name, true, "Transfer posted!", ctx);
+    const postId = resp.json?.post?.id || null;
+    if (postId) log(sender.name, `Post ID: ${postId}`, ctx);
+    if (resp.json?.post?.url) log(sender.name, `URL: ${MOLTBOOK_URL}${resp.json.post.url}`);
+
+    if (resp.json?.verification_required) {
+      const v = resp.json.verification;
+      log(sender.name, "Verification required!");
+      const verifyResp = await verifyPost(sender.apiKey, v.code, v.challenge, proxyIdx, sender.name, { expiresAt: v.expires_at });
+      if (verifyResp?.json?.success) {
+        logResult(sender.name, true, "Transfer verified and complete!", ctx);
+        notify("transfer.completed", { ...event, post_id: postId });
+        return { result: "transfer_ok", post_id: postId };
+      }
+      notify("verification.failed", { bot: sender.name, op: "transfer", tick: payload.tick, post_id: postId, error: verifyError(verifyResp) });
+      notify("transfer.failed", { ...event, post_id: postId, result: "verify_fail", error: verifyError(verifyResp) });
+      return { result: "verify_fail", post_id: postId };
+    }
+    logResult(sender.name, true, "Transfer complete.", ctx);
+    notify("transfer.completed", { ...event, post_id: postId });
+    return { result: "transfer_ok", post_id: postId };
+  }
+
+  logResult(sender.name, false, `Transfer failed: ${resp.json?.error || resp.body?.slice(0, 300)}`, ctx);
+  if (resp.json?.hint) log(sender.name, `Hint: ${resp.json.hint}`);
+  if (resp.statusCode === 429) {
+    const retry = resp.json?.retry_after_seconds
+      || (resp.json?.retry_after_minutes ? resp.json.retry_after_minutes * 60 : null)
+      || 1800;
+    notify("transfer.failed", { ...event, result: "transfer_rate_limit", retry_after_seconds: retry });
+    return { result: "transfer_rate_limit", post_id: null, retry_after_seconds: retry };
+  }
+  notify("transfer.failed", { ...event, result: "transfer_fail", error: resp.json?.error || `HTTP ${resp.statusCode}` });
+  return { result: "transfer_fail", post_id: null, error: resp.json?.error || `HTTP ${resp.statusCode}` };
+}
+
+/** Print a message and return a failed result (used for invalid input) */
+function invalid(msg) {
+  console.log(`  ${msg}`);
+  return { ok: false, results: [], error: msg };
+}
+
+/**
+ * Post a transfer inscription. Any of from/to/tick/amt not given in opts is
+ * asked for interactively (requires a TTY).
+ * @param {object} [opts]
+ * @param {string} [opts.from]    - Sender bot name
+ * @param {string} [opts.to]      - Recipient agent name
+ * @param {string} [opts.tick]    - Token ticker (default CLAW)
+ * @param {string} [opts.amt]     - Amount
+ * @param {boolean} [opts.dryRun] - Print the payload without posting
+ * @returns {Promise<{ok: boolean, results: Array}>}
+ */
+async function run(opts = {}) {
   const bots    = readBots();
   const proxies = readProxies();
 
-  if (bots.length === 0) {
-    console.log("No bots found in data/accs.txt");
-    process.exit(1);
-  }
+  if (bots.length === 0) return invalid("No bots found in data/accs.txt");
 
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const interactive = !(opts.from && opts.to && opts.amt);
+  if (interactive && !process.stdin.isTTY) return invalid("Missing --from/--to/--amt and no terminal to ask on.");
 
-  console.log(`\n${SEP}`);
-  console.log("  MOLT \u2014 Transfer Tokens");
-  console.log(SEP);
+  const rl = interactive ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
 
-  // Select sender
-  console.log("\n  Available bots:\n");
-  bots.forEach((bot, i) => console.log(`    [${i + 1}] ${bot.name}`));
+  logSep(SEP, true);
+  console.log(`  MOLT \u2014 Transfer Tokens${opts.dryRun ? " (dry run)" : ""}`);
+  logSep();
+
+  let sender;
+  if (opts.from) {
+    sender = bots.find(b => b.name === opts.from);
+    if (!sender) { rl?.close(); return invalid(`Unknown sender bot: ${opts.from}`); }
+  } else {
+    // Select sender
+    console.log("\n  Available bots:\n");
+    bots.forEach((bot, i) => console.log(`    [${i + 1}] ${bot.name}`));
 
-  const senderIdx = parseInt(await ask(rl, `\n  Send FROM bot # (1-${bots.length}): `), 10) - 1;
-  if (senderIdx < 0 || senderIdx >= bots.length) { console.log("  Invalid selection."); rl.close(); process.exit(1); }
-  const sender = bots[senderIdx];
+    const senderIdx = parseInt(await ask(rl, `\n  Send FROM bot # (1-${bots.length}): `), 10) - 1;
+    if (!(senderIdx >= 0 && senderIdx < bots.length)) { rl.close(); return invalid("Invalid selection."); }
+    sender = bots[senderIdx];
+  }
 
-  const recipient = (await ask(rl, "  Send TO agent name: ")).trim();
-  if (!recipient) { console.log("  Recipient cannot be empty."); rl.close(); process.exit(1); }
+  const recipient = (opts.to || await ask(rl, "  Send TO agent name: ")).trim();
+  if (!recipient) { rl?.close(); return invalid("Recipient cannot be empty."); }
 
-  const tick = (await ask(rl, "  Token ticker [CLAW]: ")).trim().toUpperCase() || "CLAW";
+  const tick = (opts.tick || (interactive ? await ask(rl, "  Token ticker [CLAW]: ") : "")).trim().toUpperCase() || "CLAW";
 
-  const amt = (await ask(rl, "  Amount to transfer: ")).trim();
-  if (!amt || isNaN(Number(amt)) || Number(amt) <= 0) { console.log("  Invalid amount."); rl.close(); process.exit(1); }
+  const amt = String(opts.amt || await ask(rl, "  Amount to transfer: ")).trim();
 
-  rl.close();
+  rl?.close();
 
-  const payload = { p: "mbc-20", op: "transfer", tick, amt, to: recipient };
+  const payload = transferInscription(tick, amt, recipient);
+  const errors  = validateInscription(payload);
+  if (errors.length > 0) return invalid(`Invalid transfer: ${errors.join("; ")}`);
 
-  console.log(`\n${SEP2}`);
+  logSep(SEP2, true);
   console.log(`  From:    ${sender.name}`);
   console.log(`  To:      ${recipient}`);
   console.log(`  Token:   ${tick}`);
   console.log(`  Amount:  ${amt}`);
   console.log(`  Payload: ${JSON.stringify(payload)}`);
-  console.log(SEP2);
+  logSep(SEP2);
 
-  const proxyIdx   = proxies.length > 0 ? 0 : -1;
-  const transferId = Math.random().toString(36).slice(2, 10);
-  const title      = `Transfer ${tick} to ${recipient} - #${transferId}`;
+  const result = { from: sender.name, to: recipient, tick, amt, result: null, post_id: null };
 
-  log(sender.name, "Posting transfer inscription...");
-  const resp = await createPost(sender.apiKey, MBC20_SUBMOLT, title, JSON.stringify(payload), proxyIdx);
-  log(sender.name, `POST status: ${resp.statusCode}`);
-
-  if (resp.statusCode >= 200 && resp.statusCode < 300) {
-    logResult(sender.name, true, "Transfer posted!");
-    if (resp.json?.post?.id)  log(sender.name, `Post ID: ${resp.json.post.id}`);
-    if (resp.json?.post?.url) log(sender.name, `URL: https://www.moltbook.com${resp.json.post.url}`);
-
-    if (resp.json?.verification_required) {
-      const v = resp.json.verification;
-      log(sender.name, "Verification required!");
-      const verifyResp = await verifyPost(sender.apiKey, v.code, v.challenge, proxyIdx, sender.name);
-      if (verifyResp?.json?.success) logResult(sender.name, true, "Transfer verified and complete!");
-    } else {
-      logResult(sender.name, true, "Transfer complete.");
-    }
-  } else {
-    logResult(sender.name, false, `Transfer failed: ${resp.json?.error || resp.body?.slice(0, 300)}`);
-    if (resp.json?.hint) log(sender.name, `Hint: ${resp.json.hint}`);
+  if (opts.dryRun) {
+    log(sender.name, "[dry-run] Not posting.");
+    logSep();
+    return { ok: true, results: [{ ...result, result: "dry_run" }] };
   }
 
-  console.log(SEP);
+  const proxyIdx = proxies.length > 0 ? 0 : -1;
+  Object.assign(result, await postTransfer(sender, payload, proxyIdx));
+
+  logSep();
+  return { ok: result.result === "transfer_ok", results: [result] };
 }
 
-main().catch(e => { console.error(`[FATAL] ${e.message}`); process.exit(1); });
+module.exports = { run, postTransfer };
+
+if (require.main === module) {
+  run()
+    .then(({ ok }) => { if (!ok) process.exitCode = 1; })
+    .catch(e => { console.error(`[FATAL] ${e.message}`); process.exit(1); });
+}
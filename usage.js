@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * usage.js — LLM solver usage and cost report
+ *
+ * Every completion the challenge solver requests is appended to
+ * data/llm_usage.jsonl with its bot, provider, model, token counts and cost
+ * (see solver_prices). This script sums them per day (UTC), bot and model,
+ * and divides each bot's spend by the challenges an LLM answered correctly
+ * that day (from data/challenges.jsonl) to get the cost per verified post.
+ * Today's total is shown against solver_daily_budget. No API calls.
+ *
+ * Usage: node usage.js   (or: molt usage [--days N] [--bots a,b] [--json])
+ */
+
+const fs = require("fs");
+
+const {
+  CONFIG, CORPUS_FILE, SOLVER_CACHE_FILE, USAGE_FILE,
+  SEP2, log, logSep,
+  readCorpus, llmBudget
+} = require("./shared");
+
+const DEFAULT_DAYS = 7;
+
+const botOf = (tag) => String(tag || "-").split("/")[0];
+const fmtUsd = (n) => n === null ? "-" : `$${n.toFixed(n > 0 && n < 0.01 ? 4 : 2)}`;
+
+/**
+ * Sum usage entries per day, bot and model.
+ * @param {Array} entries - data/llm_usage.jsonl lines
+ * @param {Array} corpus  - data/challenges.jsonl lines
+ * @returns {Array<{day, bot, model, requests, input_tokens, output_tokens, cost_usd, unpriced, verified, cost_per_verified}>}
+ */
+function summarize(entries, corpus) {
+  const rows = new Map();
+  for (const e of entries) {
+    const day = String(e.ts).slice(0, 10);
+    const key = `${day}\t${e.bot}\t${e.model}`;
+    if (!rows.has(key)) {
+      rows.set(key, { day, bot: e.bot, model: e.model, requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, unpriced: 0 });
+    }
+    const r = rows.get(key);
+    r.requests++;
+    r.input_tokens += Number(e.input_tokens) || 0;
+    r.output_tokens += Number(e.output_tokens) || 0;
+    if (typeof e.cost_usd === "number") r.cost_usd += e.cost_usd;
+    else r.unpriced++;
+  }
+
+  // Challenges an LLM answered and /verify accepted, per day and bot
+  const verified = new Map();
+  for (const c of corpus) {
+    if (c.outcome !== "correct" || !["gpt", "vote"].includes(c.source)) continue;
+    const key = `${String(c.ts).slice(0, 10)}\t${botOf(c.tag)}`;
+    verified.set(key, (verified.get(key) || 0) + 1);
+  }
+
+  const out = [...rows.values()].sort((a, b) => b.day.localeCompare(a.day) || a.bot.localeCompare(b.bot) || a.model.localeCompare(b.model));
+  const botCost = new Map();
+  for (const r of out) botCost.set(`${r.day}\t${r.bot}`, (botCost.get(`${r.day}\t${r.bot}`) || 0) + r.cost_usd);
+  for (const r of out) {
+    const key = `${r.day}\t${r.bot}`;
+    r.verified = verified.get(key) || 0;
+    r.cost_per_verified = r.verified > 0 ? botCost.get(key) / r.verified : null; // per bot, across its models
+  }
+  return out;
+}
+
+/**
+ * Print the usage report.
+ * @param {object} [opts]
+ * @param {number} [opts.days=7]   - Days to show, counting today
+ * @param {string[]} [opts.bots]   - Only these bot names
+ * @returns {Promise<{ok: boolean, results: Array, budget: object}>}
+ */
+async function run(opts = {}) {
+  const days = opts.days === undefined ? DEFAULT_DAYS : parseInt(opts.days, 10);
+  if (!(days > 0)) throw new Error(`--days must be a positive number (got "${opts.days}")`);
+  const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+  const bots = opts.bots?.length > 0 ? new Set(opts.bots) : null;
+  const keep = (day, bot) => day >= since && (!bots || bots.has(bot));
+
+  const entries = readCorpus(USAGE_FILE).filter(e => keep(String(e.ts).slice(0, 10), e.bot));
+  const corpus = readCorpus(CORPUS_FILE).filter(c => keep(String(c.ts).slice(0, 10), botOf(c.tag)));
+  const rows = summarize(entries, corpus);
+  const budget = llmBudget();
+
+  let cached = 0;
+  try { cached = Object.keys(JSON.parse(fs.readFileSync(SOLVER_CACHE_FILE, "utf8")).entries || {}).length; } catch {}
+  const cacheHits = corpus.filter(c => c.source === "cache").length;
+
+  logSep();
+  log("USAGE", `MOLT — LLM Solver Usage (last ${days} day(s), UTC)`);
+  log("USAGE", `Today: ${fmtUsd(budget.spent)}${budget.budget > 0 ? ` of ${fmtUsd(budget.budget)} daily budget${budget.reached ? " \u2014 REACHED" : ""}` : " (no daily budget)"}`);
+  log("USAGE", `Solver cache: ${CONFIG.solver_cache === false ? "off" : `${cached} answer(s)`}, ${cacheHits} challenge(s) answered from it`);
+  logSep(SEP2);
+
+  if (rows.length === 0) {
+    log("USAGE", "No LLM usage recorded in this period");
+  }
+  let day = null;
+  for (const r of rows) {
+    if (r.day !== day) {
+      day = r.day;
+      const total = rows.filter(x => x.day === day).reduce((sum, x) => sum + x.cost_usd, 0);
+      log("USAGE", `${day}  total ${fmtUsd(total)}`);
+    }
+    log("USAGE", [
+      " ",
+      r.bot.padEnd(20),
+      r.model.padEnd(24),
+      `${r.requests} req`.padEnd(9),
+      `${r.input_tokens} in / ${r.output_tokens} out`.padEnd(24),
+      (fmtUsd(r.cost_usd) + (r.unpriced > 0 ? ` (+${r.unpriced} unpriced)` : "")).padEnd(10),
+      `${r.verified} verified, ${fmtUsd(r.cost_per_verified)} each`
+    ].join(" "));
+  }
+  if (rows.some(r => r.unpriced > 0)) {
+    logSep(SEP2);
+    log("USAGE", "\u26A0 Some models have no price \u2014 add them to solver_prices in data/config.json");
+  }
+  logSep();
+
+  return { ok: true, results: rows, budget };
+}
+
+module.exports = { run, summarize };
+
+if (require.main === module) {
+  run().catch(e => { log("FATAL", e?.message || e); process.exit(1); });
+}
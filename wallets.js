@@ -0,0 +1,60 @@
+/**
+ * wallets.js — Per-bot wallet assignment
+ *
+ * "wallet" in config.json is the default for every bot. "wallets" gives bots
+ * (or groups of bots) their own; the first rule whose "bots" contains the bot
+ * name (or is "*") applies:
+ *
+ *   "wallets": [
+ *     { "bots": ["Bot1", "Bot2"], "wallet": "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed" },
+ *     { "bots": "*", "wallet": "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359" }
+ *   ]
+ *
+ * Every address is validated, including its EIP-55 checksum when written in
+ * mixed case.
+ *
+ * Has no dependencies on shared.js so it can be used by any script or tool.
+ */
+
+const { addressError } = require("./inscription");
+
+/**
+ * Normalize the wallet assignment from a config object.
+ * @returns {{rules: Array<{bots: "*"|string[], wallet: string}>, fallback: string, errors: string[]}}
+ */
+function buildWalletPlan(config) {
+  const errors = [];
+  const fallback = String(config.wallet || "").trim();
+  if (fallback) {
+    const err = addressError(fallback);
+    if (err) errors.push(`wallet: invalid address "${fallback}" (${err})`);
+  }
+
+  const raw = Array.isArray(config.wallets) ? config.wallets : [];
+  if (config.wallets !== undefined && !Array.isArray(config.wallets)) errors.push(`wallets: must be a list of { "bots", "wallet" } rules`);
+
+  const rules = raw.map((rule, i) => {
+    const where = `wallets[${i}]`;
+    const bots = rule?.bots === "*" ? "*" : [].concat(rule?.bots ?? []).map(String);
+    if (bots !== "*" && bots.length === 0) errors.push(`${where}: "bots" must be "*" or a non-empty list`);
+    const wallet = String(rule?.wallet || "").trim();
+    const err = addressError(wallet);
+    if (err) errors.push(`${where}: invalid address "${wallet}" (${err})`);
+    return { bots, wallet };
+  });
+
+  return { rules, fallback, errors };
+}
+
+/** The wallet a bot should be linked to ("" if none is configured) */
+function walletForBot(plan, name) {
+  const rule = plan.rules.find(r => r.bots === "*" || r.bots.includes(name));
+  return rule ? rule.wallet : plan.fallback;
+}
+
+/** Same address, ignoring checksum case */
+function sameWallet(a, b) {
+  return !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+module.exports = { buildWalletPlan, walletForBot, sameWallet };
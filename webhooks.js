@@ -0,0 +1,126 @@
+/**
+ * webhooks.js — Outbound event webhooks
+ *
+ * Configured in config.json:
+ *   "webhooks": [
+ *     { "url": "https://example.com/hook", "secret": "s3cret", "events": ["mint.verified", "index.error"] },
+ *     { "url": "http://127.0.0.1:9000/all" }
+ *   ]
+ * "events" defaults to all events. Each event is POSTed as JSON:
+ *   {"id":"...","event":"mint.verified","ts":"2026-01-01T12:00:00.000Z","data":{"bot":"Bot1",...}}
+ * with x-molt-event / x-molt-delivery headers and, when "secret" is set,
+ * x-molt-signature: sha256=<hex HMAC-SHA256 of the raw body>.
+ *
+ * Deliveries run in the background and never hold up minting. A delivery
+ * that fails (network error or non-2xx) is retried after 5s, 30s and 2min.
+ * Every attempt is appended to data/webhooks.jsonl. flushWebhooks() waits
+ * for deliveries still in progress (used by the mint.js shutdown and by molt
+ * after one-shot commands). Waiting for a retry doesn't keep the process
+ * alive on its own, so a script that is done exits without its pending retries.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { CONFIG, DATA_DIR, log, httpRequest } = require("./shared");
+
+const WEBHOOK_LOG  = path.resolve(DATA_DIR, "webhooks.jsonl");
+const RETRY_DELAYS = [5000, 30000, 120000]; // wait before attempt 2, 3, 4
+
+const EVENTS = [
+  "mint.verified",         // mint posted and verified (also when a pending verification succeeds later)
+  "mint.rate_limited",
+  "mint.failed",           // mint post rejected
+  "verification.failed",   // post created but its challenge wasn't solved (mint/link: kept as pending)
+  "verification.expired",  // pending verification gave up; the post was never published
+  "bot.unclaimed",         // a bot that was claimed is reported as unclaimed
+  "link.verified",
+  "link.mismatch",         // "link check": the indexer has another wallet for the bot
+  "transfer.completed",
+  "transfer.failed",
+  "index.error"
+];
+
+const deliveries = new Set(); // in progress, including retries
+
+function hooksFor(event) {
+  const hooks = Array.isArray(CONFIG.webhooks) ? CONFIG.webhooks : [];
+  return hooks.filter(h => h?.url && (!h.events || h.events === "*" || [].concat(h.events).includes(event)));
+}
+
+function recordDelivery(entry) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(WEBHOOK_LOG, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n", "utf8");
+  } catch (e) {
+    log("WEBHOOK", `\u26A0 Could not write ${WEBHOOK_LOG}: ${e.message}`);
+  }
+}
+
+/** HMAC-SHA256 signature header value for a raw body */
+function signBody(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", String(secret)).update(body).digest("hex");
+}
+
+async function deliver(hook, id, event, body) {
+  const headers = { "x-molt-event": event, "x-molt-delivery": id };
+  if (hook.secret) headers["x-molt-signature"] = signBody(hook.secret, body);
+
+  for (let attempt = 1; attempt <= RETRY_DELAYS.length + 1; attempt++) {
+    let status = null;
+    let error  = null;
+    try {
+      const resp = await httpRequest({ url: hook.url, method: "POST", headers, body, timeout: 10000 });
+      status = resp.statusCode;
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (e) {
+      error = e.message;
+    }
+
+    const last = attempt > RETRY_DELAYS.length;
+    recordDelivery({ delivery: id, event, url: hook.url, attempt, status, ok: !error, error: error || undefined, final: !error || last });
+    if (!error) return true;
+    if (last) {
+      log("WEBHOOK", `\u274C ${event} to ${hook.url} failed after ${attempt} attempt(s): ${error}`);
+      return false;
+    }
+    log("WEBHOOK", `\u26A0 ${event} to ${hook.url}: ${error} \u2014 retry in ${RETRY_DELAYS[attempt - 1] / 1000}s`);
+    await new Promise(r => setTimeout(r, RETRY_DELAYS[attempt - 1]).unref());
+  }
+}
+
+/**
+ * Send an event to every webhook subscribed to it. Returns right away;
+ * delivery and retries happen in the background.
+ * @param {string} event - One of EVENTS
+ * @param {object} data  - Event details (bot, tick, post_id, ...)
+ */
+function notify(event, data = {}) {
+  if (!EVENTS.includes(event)) throw new Error(`Unknown webhook event ${event}`);
+  for (const hook of hooksFor(event)) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, ts: new Date().toISOString(), data });
+    const delivery = deliver(hook, id, event, body)
+      .catch(e => log("WEBHOOK", `\u274C ${event}: ${e.message}`))
+      .finally(() => deliveries.delete(delivery));
+    deliveries.add(delivery);
+  }
+}
+
+/**
+ * Wait until deliveries in progress have finished, or timeoutMs has passed.
+ * @returns {Promise<number>} Deliveries still unfinished
+ */
+async function flushWebhooks(timeoutMs) {
+  if (deliveries.size > 0) {
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...deliveries]),
+      new Promise(r => { timer = setTimeout(r, Math.max(0, timeoutMs)); })
+    ]);
+    clearTimeout(timer);
+  }
+  return deliveries.size;
+}
+
+module.exports = { EVENTS, WEBHOOK_LOG, notify, flushWebhooks, signBody };